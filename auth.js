@@ -0,0 +1,313 @@
+/* auth.js — Utilizadores, perfis de acesso e sessão */
+/* global window, crypto, TextEncoder, localStorage, sessionStorage */
+
+(() => {
+  "use strict";
+
+  const USERS_KEY = "mdp_bovinos_utilizadores_v1";
+  const SESSION_KEY = "mdp_bovinos_sessao_v1";
+
+  // viewer: só consulta · operator: importa dados · admin: apaga dados e altera configuração
+  const ROLES = ["viewer", "operator", "admin"];
+  const ROLE_LABEL = { viewer: "Consulta", operator: "Operador", admin: "Administrador" };
+
+  const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+  const PBKDF2_ITER = 100000;
+
+  // hash da antiga conta inicial (password que esteve no código): contas guardadas com ele deixam de valer
+  const REVOKED_HASHES = ["5c009d4ea3f0e18030fa221a6b589112cafae97a9b8cf739960ee980c807a264"];
+
+  function clean(s){ return String(s ?? "").trim(); }
+
+  function roleRank(role){ return ROLES.indexOf(role); }
+
+  function authError(msg, code){
+    const err = new Error(msg);
+    err.code = code;
+    return err;
+  }
+
+  /* ===================== HASH (PBKDF2 via Web Crypto) ===================== */
+  function toHex(buf){
+    return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, "0")).join("");
+  }
+  function fromHex(hex){
+    const out = new Uint8Array(hex.length / 2);
+    for(let i=0;i<out.length;i++) out[i] = parseInt(hex.substr(i*2, 2), 16);
+    return out;
+  }
+  function randomSalt(){
+    const b = new Uint8Array(16);
+    crypto.getRandomValues(b);
+    return toHex(b);
+  }
+
+  // PBKDF2 com 512 bits: os primeiros 256 são o hash guardado na conta (iguais aos de uma derivação
+  // de 256 bits), os outros 256 são o segredo da sessão — só se obtêm com a password
+  async function derivePassword(pass, saltHex, iter = PBKDF2_ITER){
+    if(!crypto?.subtle) throw authError("Este browser não suporta Web Crypto (necessário para autenticação).", "SEM_CRYPTO");
+    const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(String(pass)), "PBKDF2", false, ["deriveBits"]);
+    const bits = toHex(await crypto.subtle.deriveBits(
+      { name: "PBKDF2", hash: "SHA-256", salt: fromHex(saltHex), iterations: iter },
+      key, 512
+    ));
+    return { hash: bits.slice(0, 64), segredo: bits.slice(64) };
+  }
+
+  // conta com password nova: salt, hash e o verificador das sessões
+  async function setPassword(u, pass){
+    u.salt = randomSalt();
+    u.iter = PBKDF2_ITER;
+    const d = await derivePassword(pass, u.salt, u.iter);
+    u.hash = d.hash;
+    u.sessao = sha256Hex(d.segredo);
+  }
+
+  // SHA-256 síncrono (o Web Crypto só é assíncrono e a sessão é lida de forma síncrona pelas páginas)
+  const SHA_K = [
+    0x428a2f98,0x71374491,0xb5c0fbcf,0xe9b5dba5,0x3956c25b,0x59f111f1,0x923f82a4,0xab1c5ed5,
+    0xd807aa98,0x12835b01,0x243185be,0x550c7dc3,0x72be5d74,0x80deb1fe,0x9bdc06a7,0xc19bf174,
+    0xe49b69c1,0xefbe4786,0x0fc19dc6,0x240ca1cc,0x2de92c6f,0x4a7484aa,0x5cb0a9dc,0x76f988da,
+    0x983e5152,0xa831c66d,0xb00327c8,0xbf597fc7,0xc6e00bf3,0xd5a79147,0x06ca6351,0x14292967,
+    0x27b70a85,0x2e1b2138,0x4d2c6dfc,0x53380d13,0x650a7354,0x766a0abb,0x81c2c92e,0x92722c85,
+    0xa2bfe8a1,0xa81a664b,0xc24b8b70,0xc76c51a3,0xd192e819,0xd6990624,0xf40e3585,0x106aa070,
+    0x19a4c116,0x1e376c08,0x2748774c,0x34b0bcb5,0x391c0cb3,0x4ed8aa4a,0x5b9cca4f,0x682e6ff3,
+    0x748f82ee,0x78a5636f,0x84c87814,0x8cc70208,0x90befffa,0xa4506ceb,0xbef9a3f7,0xc67178f2
+  ];
+  function sha256Hex(text){
+    const bytes = Array.from(new TextEncoder().encode(String(text)));
+    const bitLen = bytes.length * 8;
+    bytes.push(0x80);
+    while(bytes.length % 64 !== 56) bytes.push(0);
+    for(let i=7;i>=0;i--) bytes.push(i >= 4 ? 0 : (bitLen >>> (i * 8)) & 0xff);
+    const h = [0x6a09e667,0xbb67ae85,0x3c6ef372,0xa54ff53a,0x510e527f,0x9b05688c,0x1f83d9ab,0x5be0cd19];
+    const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+    const w = new Array(64);
+    for(let off=0; off<bytes.length; off+=64){
+      for(let i=0;i<16;i++){
+        const j = off + i*4;
+        w[i] = (bytes[j] << 24) | (bytes[j+1] << 16) | (bytes[j+2] << 8) | bytes[j+3];
+      }
+      for(let i=16;i<64;i++){
+        const s0 = rotr(w[i-15], 7) ^ rotr(w[i-15], 18) ^ (w[i-15] >>> 3);
+        const s1 = rotr(w[i-2], 17) ^ rotr(w[i-2], 19) ^ (w[i-2] >>> 10);
+        w[i] = (w[i-16] + s0 + w[i-7] + s1) | 0;
+      }
+      let [a, b, c, d, e, f, g, hh] = h;
+      for(let i=0;i<64;i++){
+        const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + SHA_K[i] + w[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        hh = g; g = f; f = e; e = (d + t1) | 0;
+        d = c; c = b; b = a; a = (t1 + t2) | 0;
+      }
+      [a, b, c, d, e, f, g, hh].forEach((v, i) => { h[i] = (h[i] + v) | 0; });
+    }
+    return h.map(v => (v >>> 0).toString(16).padStart(8, "0")).join("");
+  }
+
+  // comparação sem sair ao primeiro carácter diferente
+  function sameHash(a, b){
+    if(a.length !== b.length) return false;
+    let diff = 0;
+    for(let i=0;i<a.length;i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+    return diff === 0;
+  }
+
+  /* ===================== UTILIZADORES ===================== */
+  // sem contas guardadas = primeira utilização (não há conta inicial: o administrador cria a sua)
+  function loadUsers(){
+    try{
+      const raw = localStorage.getItem(USERS_KEY);
+      if(!raw) return [];
+      const obj = JSON.parse(raw);
+      if(obj?.version !== 1 || !Array.isArray(obj.users)) return [];
+      return obj.users.filter(u => u && clean(u.user) && ROLES.includes(u.role) && u.salt && u.hash && !REVOKED_HASHES.includes(u.hash));
+    }catch{
+      return [];
+    }
+  }
+  function saveUsers(users){
+    localStorage.setItem(USERS_KEY, JSON.stringify({ version: 1, users }));
+  }
+  function findUser(users, user){
+    const u = clean(user).toLowerCase();
+    return users.find(x => x.user.toLowerCase() === u) || null;
+  }
+
+  function checkNewUser(name, pass){
+    if(!/^[\w.@-]{3,40}$/.test(name)) throw authError("Nome de utilizador inválido (3–40 letras, números, . _ @ -).", "DADOS_INVALIDOS");
+    if(pass && String(pass).length < 8) throw authError("A password tem de ter pelo menos 8 caracteres.", "DADOS_INVALIDOS");
+  }
+
+  /* ===================== PRIMEIRA UTILIZAÇÃO ===================== */
+  // só numa instalação nova: sem contas e sem dados guardados pela app (apagar as contas
+  // não chega para ficar administrador dos dados que já lá estão)
+  const hasAppData = () => Boolean(window.Core?.hasStoredData?.());
+
+  function needsSetup(){
+    return !loadUsers().some(u => u.role === "admin") && !hasAppData();
+  }
+
+  // cria o primeiro administrador com a password que ele escolher e inicia a sessão
+  async function setupAdmin(user, pass){
+    if(window.Core?.ready) await window.Core.ready();
+    if(loadUsers().some(u => u.role === "admin")) throw authError("Já existe um administrador.", "SEM_PERMISSAO");
+    if(hasAppData()){
+      throw authError("Há dados guardados neste browser sem nenhum administrador: não é possível criar um novo sobre eles. Para recomeçar, apaga os dados do site nas definições do browser.", "SEM_PERMISSAO");
+    }
+    const name = clean(user);
+    checkNewUser(name, pass);
+    if(!pass) throw authError("Falta a password.", "DADOS_INVALIDOS");
+
+    const u = { user: name, role: "admin" };
+    await setPassword(u, pass);
+    saveUsers([...loadUsers().filter(x => x.user.toLowerCase() !== name.toLowerCase()), u]);
+    return login(name, pass);
+  }
+
+  /* ===================== SESSÃO ===================== */
+  // { user, expiresAt, segredo } no sessionStorage (termina ao fechar o separador); o segredo vem
+  // da password no login e tem de bater com o verificador da conta (sha256), por isso um registo
+  // escrito à mão não dá sessão. Vale enquanto não expirar; o perfil vem sempre da conta
+  function readSession(){
+    try{ return JSON.parse(sessionStorage.getItem(SESSION_KEY) || "null"); }catch{ return null; }
+  }
+
+  function currentSession(){
+    const s = readSession();
+    if(!s) return null;
+
+    const u = findUser(loadUsers(), s.user);
+    const valid = u && u.sessao && typeof s.segredo === "string"
+      && Number.isFinite(s.expiresAt) && Date.now() < s.expiresAt
+      && sameHash(sha256Hex(s.segredo), u.sessao);
+    if(!valid){
+      sessionStorage.removeItem(SESSION_KEY);
+      return null;
+    }
+    return { user: u.user, role: u.role, expiresAt: s.expiresAt };
+  }
+
+  // sem sessão = consulta (as páginas continuam visíveis sem login)
+  function currentRole(){
+    return currentSession()?.role || "viewer";
+  }
+
+  function hasRole(role){
+    return roleRank(currentRole()) >= roleRank(role);
+  }
+
+  function requireRole(role, acao){
+    if(hasRole(role)) return;
+    const s = currentSession();
+    const quem = s ? `${s.user} (${ROLE_LABEL[s.role]})` : "sem sessão iniciada";
+    throw authError(`Sem permissão para ${acao || "esta operação"}: requer perfil ${ROLE_LABEL[role]} — ${quem}.`, "SEM_PERMISSAO");
+  }
+
+  async function login(user, pass){
+    const users = loadUsers();
+    const u = findUser(users, user);
+    // calcula sempre um hash, para não denunciar utilizadores inexistentes pelo tempo de resposta
+    const d = await derivePassword(pass, u?.salt || "00", u?.iter || PBKDF2_ITER);
+    if(!u || !sameHash(d.hash, u.hash)) throw authError("Utilizador ou password inválidos.", "LOGIN_INVALIDO");
+
+    // contas de antes do verificador de sessão: fica gravado no primeiro login
+    if(!u.sessao){
+      u.sessao = sha256Hex(d.segredo);
+      saveUsers(users);
+    }
+    const s = { user: u.user, expiresAt: Date.now() + SESSION_TTL_MS, segredo: d.segredo };
+    sessionStorage.setItem(SESSION_KEY, JSON.stringify(s));
+    return { user: u.user, role: u.role, expiresAt: s.expiresAt };
+  }
+
+  function logout(){
+    sessionStorage.removeItem(SESSION_KEY);
+  }
+
+  /* ===================== GESTÃO (admin) ===================== */
+  function listUsers(){
+    requireRole("admin", "gerir utilizadores");
+    return loadUsers().map(u => ({ user: u.user, role: u.role }));
+  }
+
+  async function saveUser(user, pass, role){
+    requireRole("admin", "gerir utilizadores");
+    const name = clean(user);
+    checkNewUser(name, pass);
+    if(!ROLES.includes(role)) throw authError(`Perfil inválido: ${role}.`, "DADOS_INVALIDOS");
+
+    const users = loadUsers();
+    let u = findUser(users, name);
+    if(!u && !pass) throw authError("Novo utilizador precisa de password.", "DADOS_INVALIDOS");
+
+    if(u && u.role === "admin" && role !== "admin" && users.filter(x => x.role === "admin").length === 1){
+      throw authError("Tem de existir pelo menos um administrador.", "DADOS_INVALIDOS");
+    }
+
+    if(!u){
+      u = { user: name };
+      users.push(u);
+    }
+    u.role = role;
+    if(pass) await setPassword(u, pass);
+    saveUsers(users);
+    return { user: u.user, role: u.role };
+  }
+
+  function removeUser(user){
+    requireRole("admin", "gerir utilizadores");
+    const users = loadUsers();
+    const u = findUser(users, user);
+    if(!u) return false;
+    if(u.role === "admin" && users.filter(x => x.role === "admin").length === 1){
+      throw authError("Tem de existir pelo menos um administrador.", "DADOS_INVALIDOS");
+    }
+    if(u.user === currentSession()?.user) throw authError("Não pode remover o utilizador com sessão iniciada.", "DADOS_INVALIDOS");
+    saveUsers(users.filter(x => x !== u));
+    return true;
+  }
+
+  // qualquer utilizador com sessão pode mudar a própria password
+  async function changePassword(oldPass, newPass){
+    const s = currentSession();
+    if(!s) throw authError("Sem sessão iniciada.", "SEM_PERMISSAO");
+    if(String(newPass ?? "").length < 8) throw authError("A password tem de ter pelo menos 8 caracteres.", "DADOS_INVALIDOS");
+
+    const users = loadUsers();
+    const u = findUser(users, s.user);
+    const d = await derivePassword(oldPass, u.salt, u.iter || PBKDF2_ITER);
+    if(!sameHash(d.hash, u.hash)) throw authError("Password atual errada.", "LOGIN_INVALIDO");
+
+    await setPassword(u, newPass);
+    saveUsers(users);
+    // as outras sessões deixam de valer; esta continua com o segredo da password nova
+    await login(u.user, newPass);
+  }
+
+  // sessões do formato antigo (localStorage, sem segredo) já não valem: não ficam para trás
+  try{ localStorage.removeItem(SESSION_KEY); }catch{ /* localStorage bloqueado */ }
+
+  const Auth = {
+    ROLES,
+    ROLE_LABEL,
+    SESSION_TTL_MS,
+
+    needsSetup,
+    setupAdmin,
+
+    login,
+    logout,
+    currentSession,
+    currentRole,
+    hasRole,
+    requireRole,
+
+    listUsers,
+    saveUser,
+    removeUser,
+    changePassword
+  };
+
+  window.Auth = Auth;
+})();
@@ -0,0 +1,303 @@
+#!/usr/bin/env node
+/* cli.js — Processa um CSV de pesagens sem browser (mesmo motor do core.js) */
+/* Uso: node cli.js efetivo.csv [opções] — ver AJUDA abaixo */
+"use strict";
+
+const fs = require("fs");
+const path = require("path");
+const Core = require("./core.js");
+
+const AJUDA = `Uso: node cli.js <ficheiro.csv> [opções]
+
+  --offline              sem meteorologia remota (só estação/tabela manual; senão fallback)
+  --format json|csv      json (omissão) para stdout; csv grava um ficheiro por tabela
+  --out <pasta>          pasta dos CSV (omissão: pasta atual)
+  --table <nome>         só uma tabela: animais | grupos | alertas | previsao | censo
+  --profile <id>         perfil de colunas (omissão: deteção automática)
+  --as-of <data>         data de referência AAAA-MM-DD (omissão: hoje, em UTC)
+  --base <base>          comparação do estado: grupo_sexo (omissão) | grupo_raca | coorte_idade | grupo
+  --target-m <kg>        peso alvo machos (omissão 620)
+  --target-f <kg>        peso alvo fêmeas (omissão 520)
+  --targets <ficheiro>   alvos em JSON ({ targetM, targetF, grupos, animais })
+  --economia <ficheiro>  custos e preço em JSON ({ custoDia | consumoKg + precoRacao, precoVenda, grupos })
+  --eventos <ficheiro>   movimentos em JSON ([{ tipo, animal, data, grupo, grupoDe, sexo, nasc, motivo }])
+  --desde <data>         censo: conta os movimentos desde AAAA-MM-DD
+  --tratamentos <fich.>  registos sanitários em JSON ([{ tipo, animal | grupo, data, produto, dose, intervaloCarne }])
+  --station <ficheiro>   leituras da estação da exploração (CSV ou JSON)
+  --meteo-cache <fich.>  cache meteo em JSON (lida e atualizada)
+  --perda-max <pct>      validação: perda de peso tolerada como aviso, em % do peso anterior (omissão 20)
+  --force                processa mesmo com erros de validação
+  -h, --help             esta ajuda
+`;
+
+const TABELAS = ["animais", "grupos", "alertas", "previsao", "censo"];
+
+function parseArgs(argv){
+  const o = { format: "json", out: ".", files: [] };
+  const valor = (i, nome) => {
+    if(i >= argv.length || argv[i].startsWith("--")) throw new Error(`Falta o valor de ${nome}.`);
+    return argv[i];
+  };
+  for(let i=0;i<argv.length;i++){
+    const a = argv[i];
+    switch(a){
+      case "-h": case "--help": o.help = true; break;
+      case "--offline": o.offline = true; break;
+      case "--force": o.force = true; break;
+      case "--perda-max": o.perdaMax = Number(valor(++i, a)); break;
+      case "--format": o.format = valor(++i, a); break;
+      case "--out": o.out = valor(++i, a); break;
+      case "--table": o.table = valor(++i, a); break;
+      case "--profile": o.profile = valor(++i, a); break;
+      case "--as-of": o.asOf = valor(++i, a); break;
+      case "--base": o.base = valor(++i, a); break;
+      case "--target-m": o.targetM = Number(valor(++i, a)); break;
+      case "--target-f": o.targetF = Number(valor(++i, a)); break;
+      case "--targets": o.targets = valor(++i, a); break;
+      case "--economia": o.economia = valor(++i, a); break;
+      case "--eventos": o.eventos = valor(++i, a); break;
+      case "--desde": o.desde = valor(++i, a); break;
+      case "--tratamentos": o.tratamentos = valor(++i, a); break;
+      case "--station": o.station = valor(++i, a); break;
+      case "--meteo-cache": o.meteoCache = valor(++i, a); break;
+      default:
+        if(a.startsWith("-")) throw new Error(`Opção desconhecida: ${a}`);
+        o.files.push(a);
+    }
+  }
+  if(!["json", "csv"].includes(o.format)) throw new Error(`Formato inválido: ${o.format} (json ou csv).`);
+  if(o.table && !TABELAS.includes(o.table)) throw new Error(`Tabela inválida: ${o.table} (${TABELAS.join(", ")}).`);
+  if(o.base && !Object.hasOwn(Core.PERFORMANCE_BASES, o.base)){
+    throw new Error(`Base inválida: ${o.base} (${Object.keys(Core.PERFORMANCE_BASES).join(", ")}).`);
+  }
+  return o;
+}
+
+function lerTexto(f){
+  return fs.readFileSync(f, "utf8");
+}
+
+function lerJSON(f){
+  try{ return JSON.parse(lerTexto(f)); }
+  catch(e){ throw new Error(`${f}: JSON inválido (${e.message}).`); }
+}
+
+const num = (v, d = 1) => Number.isFinite(v) ? Number(v.toFixed(d)) : null;
+
+/* ===================== TABELAS ===================== */
+function tabelaAnimais(st, fc){
+  return st.animalsOut.map(a => ({
+    animal: a.animal,
+    grupo: a.grupo,
+    sexo: a.sexo,
+    raca: a.raca || null,
+    idade_dias: Number.isFinite(a.idadeDias) ? a.idadeDias : null,
+    peso_atual: a.pesoAtual,
+    data_atual: a.dataAtual,
+    peso_estimado_kg: num(a.estKg),
+    peso_estimado_min: num(a.estKgMin),
+    peso_estimado_max: num(a.estKgMax),
+    gmd_ind: num(a.gmdInd, 3),
+    gmd_proj: num(a.gmdProj, 3),
+    n_pesagens: a.nPesagens ?? null,
+    confianca: a.conf,
+    estado: a.estado,
+    suspeito: a.suspeito || null,
+    base_comparacao: a.baseComparacao || null,
+    base_gmd: num(a.baseGmd, 3),
+    meteo_fonte: a.meteoFonte || null,
+    fator_clima: num(a.fatorClima, 3),
+    intervalo_ate: a.intervaloAte || null,
+    intervalo_produto: a.intervaloProduto || null,
+    tratamentos_periodo: a.nTratamentos ?? 0,
+    saude_gmd: a.saudeGmd || null,
+    alvo_kg: fc[a.animal]?.alvo ?? null,
+    dias_ate_alvo: num(fc[a.animal]?.dias, 0),
+    data_prevista: fc[a.animal]?.data ?? null,
+    janela: fc[a.animal]?.janela ?? null,
+    prontidao: fc[a.animal]?.prontidaoTexto ?? null
+  }));
+}
+
+function tabelaGrupos(st){
+  return st.groupsOut.map(g => ({
+    grupo: g.name,
+    n: g.n, m: g.m, f: g.f,
+    peso_medio_m: num(g.avgPesoM), peso_medio_f: num(g.avgPesoF),
+    estimado_m: num(g.avgEstM), estimado_f: num(g.avgEstF),
+    gmd_m: num(g.avgGmdM, 3), gmd_f: num(g.avgGmdF, 3),
+    temp_media: num(g.avgTemp),
+    verdes: g.ok, amarelos: g.warn, vermelhos: g.bad,
+    suspeitos: g.suspeitos ?? 0,
+    risco_pct: num(g.risk * 100, 0)
+  }));
+}
+
+function tabelaAlertas(alertas){
+  return alertas.map(a => ({
+    nivel: a.level,
+    escopo: a.escopo,
+    sujeito: a.sujeito,
+    regra: a.regra,
+    valor: num(a.valor, 2),
+    limiar: a.limiar,
+    alerta: a.text,
+    detalhe: a.meta
+  }));
+}
+
+function tabelaPrevisao(rows, plano){
+  const sug = Object.fromEntries(plano.map(s => [s.grupo, s]));
+  return rows.map(r => ({
+    grupo: r.name,
+    m: r.m, f: r.f,
+    alvo_m: r.targetM, alvo_f: r.targetF,
+    estimado_m: num(r.pM), estimado_f: num(r.pF),
+    gmd_usado_m: num(r.gmdUsedM, 3), gmd_usado_f: num(r.gmdUsedF, 3),
+    dias_m: num(r.daysM, 0), dias_f: num(r.daysF, 0),
+    data_m: r.dateM, data_f: r.dateF,
+    janela_m: r.janelaM, janela_f: r.janelaF,
+    data_maxima: r.dataMaxima,
+    data_alvo: r.dataAlvo,
+    cumpre_data_alvo: r.cumpreDataAlvo,
+    cumpre_data_alvo_seguro: r.cumpreDataAlvoSeguro,
+    estado: r.estadoTexto,
+    animais: r.prontidaoTexto,
+    custo_dia: num(r.custoDia, 2),
+    preco_venda: num(r.precoVenda, 2),
+    custo_ate_alvo: num(r.custoAteAlvo, 0),
+    receita_alvo: num(r.receitaAlvo, 0),
+    ganho_semana: num(r.ganhoSemana, 0),
+    ganho_semana_m: num(r.ganhoSemanaM, 2),
+    ganho_semana_f: num(r.ganhoSemanaF, 2),
+    data_otima: r.dataOtima,
+    margem_otima: num(r.margemOtima, 0),
+    sugestao: sug[r.name]?.acao ?? null,
+    prioridade: sug[r.name]?.prioridade ?? null
+  }));
+}
+
+// uma linha por grupo e sexo, com as classes de idade em colunas
+function tabelaCenso(c){
+  const linhas = [];
+  const linha = (grupo, sexo, l) => {
+    const r = { grupo, sexo };
+    for(const k of c.classes) r[k.label] = l[k.id];
+    r.sem_data_nascimento = l.sem;
+    r.total = l.total;
+    linhas.push(r);
+  };
+  for(const g of c.grupos){
+    linha(g.grupo, "M", g.M);
+    linha(g.grupo, "F", g.F);
+  }
+  linha("total", "M+F", c.totais.total);
+  return linhas;
+}
+
+function paraCSV(rows){
+  if(!rows.length) return "";
+  const cols = Object.keys(rows[0]);
+  return Core.rowsToCSVText([cols, ...rows.map(r => cols.map(c => r[c] ?? ""))]) + "\r\n";
+}
+
+/* ===================== MAIN ===================== */
+async function main(argv){
+  const o = parseArgs(argv);
+  if(o.help || o.files.length !== 1){
+    process.stdout.write(AJUDA);
+    return o.help ? 0 : 2;
+  }
+
+  // sem browser: armazenamento em memória, sem utilizadores (nada é gravado)
+  await Core.ready({ backend: Core.memoryBackend(), fetch: globalThis.fetch });
+
+  const csvText = lerTexto(o.files[0]);
+  const opts = { offline: !!o.offline };
+  if(o.profile) opts.profile = o.profile;
+  if(o.asOf) opts.asOf = o.asOf;
+  if(o.base) opts.PERFORMANCE = { base: o.base };
+  if(Number.isFinite(o.perdaMax)) opts.VALIDATION = { PERDA_MAX_PCT: o.perdaMax };
+  if(o.station) opts.station = { days: Core.parseStationText(lerTexto(o.station)) };
+  // os movimentos do ficheiro: entradas, saídas e mudanças de grupo até à data de referência
+  const eventos = o.eventos ? Core.normalizeEvents(lerJSON(o.eventos)) : null;
+  if(eventos) opts.events = eventos;
+  // intervalos de segurança e tratamentos repetidos
+  if(o.tratamentos) opts.treatments = Core.normalizeTreatments(lerJSON(o.tratamentos));
+  // a cache meteo é um Map (chave fonte|local|período); no ficheiro só ficam os resultados válidos
+  const meteoCache = new Map(Object.entries((o.meteoCache && fs.existsSync(o.meteoCache)) ? lerJSON(o.meteoCache) : {}));
+  opts.meteoCache = meteoCache;
+
+  const report = Core.validateCSVText(csvText, opts);
+  // só os erros vão para stderr; os avisos ficam resumidos numa linha
+  const erros = report.issues.filter(i => i.level === "erro");
+  for(const i of erros.slice(0, 20)){
+    process.stderr.write(`erro linha ${i.line} ${i.column || ""}: ${i.reason}${i.value ? ` (${i.value})` : ""}\n`);
+  }
+  if(erros.length > 20) process.stderr.write(`… mais ${erros.length - 20} erros\n`);
+  if(report.warnings) process.stderr.write(`${report.warnings} aviso(s) de validação.\n`);
+  if(!report.ok && !o.force){
+    process.stderr.write(`${report.errors} erro(s) de validação; use --force para processar na mesma.\n`);
+    return 2;
+  }
+
+  const st = await Core.processCSVText(csvText, opts);
+  if(o.meteoCache){
+    fs.writeFileSync(o.meteoCache, JSON.stringify(Object.fromEntries([...meteoCache].filter(([, v]) => v?.ok))));
+  }
+
+  const targets = Core.normalizeTargets({
+    ...(o.targets ? lerJSON(o.targets) : {}),
+    ...(Number.isFinite(o.targetM) ? { targetM: o.targetM } : {}),
+    ...(Number.isFinite(o.targetF) ? { targetF: o.targetF } : {})
+  });
+
+  const economia = o.economia ? lerJSON(o.economia) : null;
+
+  const fc = {};
+  for(const a of Core.computeAnimalForecast(st, targets)) fc[a.animal] = a;
+
+  const tabelas = {
+    animais: tabelaAnimais(st, fc),
+    grupos: tabelaGrupos(st),
+    alertas: tabelaAlertas(Core.buildAlerts(st, { targets })),
+    previsao: tabelaPrevisao(Core.computeForecast(st, targets, economia), Core.buildSmartPlanning(st, targets, economia)),
+    censo: tabelaCenso(Core.buildCensus(st, { events: eventos || undefined, de: o.desde }))
+  };
+  const nomes = o.table ? [o.table] : TABELAS;
+
+  if(o.format === "csv"){
+    fs.mkdirSync(o.out, { recursive: true });
+    for(const n of nomes){
+      const f = path.join(o.out, `${n}.csv`);
+      fs.writeFileSync(f, "\uFEFF" + paraCSV(tabelas[n]));
+      process.stderr.write(`${f}: ${tabelas[n].length} linhas\n`);
+    }
+  }else{
+    const out = {
+      meta: {
+        ficheiro: path.basename(o.files[0]),
+        gerado_em: st.generated_at,
+        data_referencia: st.todayUTC.slice(0, 10),
+        perfil: st.meta.profile,
+        linhas: st.meta.lines,
+        processadas: st.meta.processed_ok,
+        falhadas: st.meta.processed_fail,
+        suspeitos: st.meta.suspeitos,
+        saidos: st.meta.saidos ?? 0,
+        sem_saida: st.meta.sem_saida ?? [],
+        em_intervalo: st.meta.em_intervalo ?? 0,
+        meteo: st.meta.meteo,
+        alvos: { targetM: targets.targetM, targetF: targets.targetF }
+      }
+    };
+    for(const n of nomes) out[n] = tabelas[n];
+    process.stdout.write(JSON.stringify(out, null, 2) + "\n");
+  }
+  return 0;
+}
+
+main(process.argv.slice(2)).then(
+  (code) => { process.exitCode = code; },
+  (err) => { process.stderr.write(`Erro: ${err.message}\n`); process.exitCode = 1; }
+);
@@ -1,17 +1,142 @@
 /* core.js — Motor comum (CSV + Meteo + Cálculo + Estado) */
-/* global window, fetch, AbortController */
+/* global window, module, sessionStorage, fetch, AbortController, XLSX, indexedDB, localStorage, structuredClone, crypto, TextEncoder */
+/* Browser: carregar depois de auth.js (as operações destrutivas verificam o perfil em window.Auth).
+   Node: const Core = require("./core.js"); await Core.ready({ backend, fetch, auth }) — ver cli.js. */
 
 (() => {
   "use strict";
 
   const STORAGE_KEY = "mdp_bovinos_state_v2";
   const METEO_CACHE_KEY = "mdp_bovinos_meteo_cache_v2";
+  const WEIGHINGS_KEY = "mdp_bovinos_pesagens_v1";
+  const STATION_KEY = "mdp_bovinos_estacao_v1";
+  const HISTORY_KEY = "mdp_bovinos_historico_v1";
+  const EVENTS_KEY = "mdp_bovinos_eventos_v1";
+  const TREATMENTS_KEY = "mdp_bovinos_tratamentos_v1";
 
   const DEFAULTS = {
     SITE: { lat: 38.17355612872988, lon: -7.986520046258665 },
     CONSERVATIVE_FALLBACK_GMD: 1.10,
     METEO_TIMEOUT_MS: 9000,
-    METEO_CONCURRENCY: 6
+    METEO_CONCURRENCY: 6,
+
+    // fontes de meteorologia por ordem de preferência (a primeira com dados ganha)
+    METEO: {
+      providers: ["estacao", "open-meteo", "manual"],
+      manual: {},            // mês (1..12) -> temperatura média (°C)
+      MIN_COVERAGE: 0.7      // estação: fração mínima de dias com leitura no período
+    },
+
+    // fator clima: "thi" (índice temperatura-humidade, dias de stress) ou "temp" (bandas da temp. média)
+    CLIMATE: {
+      model: "thi",
+      THI: { alerta: 75, perigo: 79, emergencia: 84 },       // limiares (THI diário com temp. máxima)
+      PERDA: { alerta: 0.10, perigo: 0.25, emergencia: 0.40 }, // quebra de GMD nesse dia
+      FATOR_MIN: 0.60
+    },
+
+    // histórico de estados processados (um snapshot por importação)
+    HISTORY: {
+      MAX_SNAPSHOTS: 24,   // guarda no máximo N snapshots (os mais recentes)
+      MAX_DAYS: 365        // e apaga os mais antigos que N dias (o último fica sempre)
+    },
+
+    // incerteza das estimativas: intervalo mínimo–máximo (~90%) do peso e das datas
+    UNCERTAINTY: {
+      Z: 1.645,              // meia-largura do intervalo, em desvios-padrão
+      CV_MIN: 0.05,          // dispersão relativa da GMD dentro do grupo (limites)
+      CV_MAX: 0.60,
+      CV_SEM_DADOS: 0.25,    // grupo com menos de 3 GMD reais
+      FATOR_SERIE: 0.5,      // animal com GMD própria: só esta parte da dispersão do grupo
+      CLIMA_DADOS: 0.03,     // incerteza relativa do fator clima com meteorologia real
+      CLIMA_FALLBACK: 0.10   // ... e com o fallback (sem dados)
+    },
+
+    // base de comparação do estado 🟢/🟡/🔴: "grupo_sexo", "grupo_raca", "coorte_idade"
+    // (efetivo todo, mesmo sexo e classe de idade) ou "grupo" (média mista, como antes)
+    PERFORMANCE: {
+      base: "grupo_sexo",
+      COORTE_DIAS: 90,       // largura das classes de idade da coorte
+      MIN_AMOSTRA: 3         // menos GMD reais na base: compara com o grupo (misto)
+    },
+
+    // GMD individuais suspeitas (peso mal escrito, animal trocado): ficam fora das médias do grupo
+    OUTLIERS: {
+      metodo: "mad",         // "mad" (desvio absoluto mediano), "iqr" (amplitude interquartil) ou "nenhum"
+      K_MAD: 3.5,            // |GMD − mediana| > K × 1.4826 × MAD
+      K_IQR: 1.5,            // fora de [Q1 − K×IQR, Q3 + K×IQR]
+      MIN_AMOSTRA: 5,        // grupos mais pequenos: só o intervalo plausível
+      GMD_MIN: -0.5,         // intervalo fisiologicamente plausível (kg/dia)
+      GMD_MAX: 2.5
+    },
+
+    // regras de alerta: escopo "efetivo" | "grupo" | "animal", métrica (ver ALERT_METRICS),
+    // limiar e severidade ("bad" vermelho, "warn" amarelo); as duas primeiras eram as fixas do dashboard
+    ALERT_RULES: [
+      { id: "grupo_vermelhos", ativo: true,  escopo: "grupo",  metrica: "vermelhos_pct",      limiar: 15, severidade: "bad" },
+      { id: "grupo_risco",     ativo: true,  escopo: "grupo",  metrica: "risco_pct",          limiar: 30, severidade: "warn" },
+      { id: "grupo_pesagem",   ativo: true,  escopo: "grupo",  metrica: "dias_sem_pesagem",   limiar: 60, severidade: "warn" },
+      { id: "animal_perda",    ativo: true,  escopo: "animal", metrica: "perda_peso",         limiar: 5,  severidade: "bad" },
+      { id: "grupo_prontos",   ativo: true,  escopo: "grupo",  metrica: "pronto_nao_vendido", limiar: 30, severidade: "warn" },
+      { id: "animal_gmd",      ativo: false, escopo: "animal", metrica: "gmd_abaixo",         limiar: 0.3, severidade: "warn" }
+    ],
+
+    // plano de pesagens: capacidade da manga e pesos da prioridade (0 = ignora o critério)
+    WEIGH_PLAN: {
+      CAPACIDADE_DIA: 120,   // animais pesados por dia de sessão
+      DIAS: 1,               // dias da sessão
+      SALTAR_FDS: true,      // sem sessões ao sábado e domingo
+      DIAS_VELHA: 60,        // pesagem com esta idade (ou nunca pesado) conta o máximo
+      DIAS_PERTO: 60,        // a menos disto do alvo a exatidão do peso começa a contar
+      PESO_VELHA: 1,
+      PESO_ALVO: 1,
+      PESO_ESTADO: 1
+    },
+
+    // construtor de cargas (lotes de venda)
+    LOTS: {
+      CAPACIDADE: 30,        // cabeças por camião
+      PESO_MAX_KG: 18000,    // limite de carga (kg de peso vivo)
+      MESMO_SEXO: true,      // machos e fêmeas em lotes separados
+      JANELA_KG: 80,         // diferença máxima entre o mais pesado e o mais leve do lote
+      SO_PRONTOS: true       // só animais no alvo na data da carga
+    },
+
+    // saúde: tratamentos repetidos no período contam para a ligação à GMD baixa
+    HEALTH: {
+      JANELA_DIAS: 90,       // período olhado para trás a partir da data de referência
+      MIN_TRATAMENTOS: 2     // a partir de quantos tratamentos é "repetido"
+    },
+
+    // validação do CSV (limites plausíveis)
+    VALIDATION: {
+      PESO_MIN: 20,
+      PESO_MAX: 1200,
+      // perda desde a pesagem anterior até esta % do peso = aviso (balança, enchimento); acima = erro
+      PERDA_MAX_PCT: 20,
+      SEXOS: ["M", "F"]
+    },
+
+    // curva de crescimento por idade (GMD de referência, kg/dia, até "ateDias" de idade;
+    // ateDias: null = último escalão, sem limite — Infinity não sobrevive a JSON)
+    GROWTH_CURVE: {
+      M: [
+        { ateDias: 90,  gmd: 0.85 },
+        { ateDias: 205, gmd: 1.05 },
+        { ateDias: 365, gmd: 1.30 },
+        { ateDias: 540, gmd: 1.40 },
+        { ateDias: 730, gmd: 1.15 },
+        { ateDias: null, gmd: 0.80 }
+      ],
+      F: [
+        { ateDias: 90,  gmd: 0.80 },
+        { ateDias: 205, gmd: 0.95 },
+        { ateDias: 365, gmd: 1.10 },
+        { ateDias: 540, gmd: 1.05 },
+        { ateDias: 730, gmd: 0.85 },
+        { ateDias: null, gmd: 0.60 }
+      ]
+    }
   };
 
   /* ===================== HELPERS ===================== */
@@ -28,27 +153,45 @@
     const n = parseFloat(x);
     return Number.isFinite(n) ? n : NaN;
   }
+  // número escrito à mão com separador decimal conhecido; o outro só conta como milhares em grupos de 3
+  // (as células numéricas das folhas já chegam no formato do perfil, sem milhares: ver sheetNumberText)
+  function parseNumberDec(x, decimal = ","){
+    x = clean(x);
+    if(!x) return NaN;
+    const thousands = (decimal === ",") ? "." : ",";
+    const groups = new RegExp(`^-?\\d{1,3}(\\${thousands}\\d{3})+(\\${decimal}\\d+)?$`);
+    if(groups.test(x)) x = x.split(thousands).join("");
+    return parseNumber(x.replace(decimal, "."));
+  }
+  // data UTC só se o dia existir no calendário (31-02 não passa a 03-03)
+  function makeDateUTC(y, mo, d){
+    const dt = new Date(Date.UTC(y, mo-1, d));
+    if(!Number.isFinite(dt.getTime())) return null;
+    if(dt.getUTCFullYear()!==y || dt.getUTCMonth()!==mo-1 || dt.getUTCDate()!==d) return null;
+    return dt;
+  }
   function parseDatePT(s){
+    return parseDateFmt(s, "DMY");
+  }
+  // fmt = ordem dos campos nas datas com separador: "DMY", "MDY" ou "YMD";
+  // AAAA-MM-DD (ISO, como vem das folhas de cálculo) é sempre aceite
+  function parseDateFmt(s, fmt = "DMY"){
     s = clean(s);
     if(!s) return null;
 
     // YYYY-MM-DD
     let m = s.match(/^(\d{4})-(\d{2})-(\d{2})$/);
-    if(m){
-      const y=+m[1], mo=+m[2], d=+m[3];
-      const dt = new Date(Date.UTC(y, mo-1, d));
-      return Number.isFinite(dt.getTime()) ? dt : null;
-    }
+    if(m) return makeDateUTC(+m[1], +m[2], +m[3]);
 
-    // DD-MM-YYYY or DD/MM/YYYY
-    m = s.match(/^(\d{2})[-\/](\d{2})[-\/](\d{4})$/);
-    if(m){
-      const d=+m[1], mo=+m[2], y=+m[3];
-      const dt = new Date(Date.UTC(y, mo-1, d));
-      return Number.isFinite(dt.getTime()) ? dt : null;
+    if(fmt === "YMD"){
+      m = s.match(/^(\d{4})[-\/.](\d{1,2})[-\/.](\d{1,2})$/);
+      return m ? makeDateUTC(+m[1], +m[2], +m[3]) : null;
     }
 
-    return null;
+    // DD-MM-YYYY, DD/MM/YYYY, DD.MM.YYYY (ou MM-DD-YYYY)
+    m = s.match(/^(\d{1,2})[-\/.](\d{1,2})[-\/.](\d{4})$/);
+    if(!m) return null;
+    return (fmt === "MDY") ? makeDateUTC(+m[3], +m[1], +m[2]) : makeDateUTC(+m[3], +m[2], +m[1]);
   }
   function fmtDate(d){
     if(!d) return "—";
@@ -72,14 +215,204 @@
     const ms = b.getTime() - a.getTime();
     return Math.floor(ms / (1000*60*60*24));
   }
+  // data de referência (meia-noite UTC): Date, "AAAA-MM-DD" ou "DD-MM-AAAA"; sem data = hoje (UTC)
+  function dayUTC(asOf){
+    if(asOf == null || asOf === ""){
+      const now = new Date();
+      return makeDateUTC(now.getUTCFullYear(), now.getUTCMonth()+1, now.getUTCDate());
+    }
+    const d = (asOf instanceof Date) ? asOf : (parseDateFmt(clean(asOf).slice(0,10), "YMD") || parseDatePT(asOf));
+    if(!d || !Number.isFinite(d.getTime())) throw new Error(`Data de referência inválida: ${asOf}.`);
+    return makeDateUTC(d.getUTCFullYear(), d.getUTCMonth()+1, d.getUTCDate());
+  }
+  /* ===================== CSV (RFC 4180) ===================== */
+  const CSV_DELIMITERS = [";", ",", "\t"];
+
+  function stripBOM(text){
+    text = String(text ?? "");
+    return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+  }
+
+  // linha "sep=;" que o Excel escreve no início de alguns ficheiros
+  function readSepHint(text){
+    const m = text.match(/^sep=(.)\r?(\n|$)/i);
+    return m ? { delim: m[1], skip: m[0].length } : null;
+  }
+
+  // conta separadores no cabeçalho, ignorando o que está entre aspas
   function detectDelimiter(text){
-    const first = (text.split(/\r?\n/)[0] || "");
-    const semi = (first.match(/;/g)||[]).length;
-    const comma = (first.match(/,/g)||[]).length;
-    return semi >= comma ? ";" : ",";
+    text = stripBOM(text);
+    const hint = readSepHint(text);
+    if(hint) return hint.delim;
+
+    const counts = { ";":0, ",":0, "\t":0 };
+    let inQuotes = false;
+    for(let i=0; i<text.length; i++){
+      const c = text[i];
+      if(c === "\""){ inQuotes = !inQuotes; continue; }
+      if(inQuotes) continue;
+      if(c === "\n" || c === "\r") break;
+      if(c in counts) counts[c]++;
+    }
+    // empate: ";" (Excel PT) primeiro, como antes
+    return CSV_DELIMITERS.reduce((best, d) => counts[d] > counts[best] ? d : best, ";");
+  }
+
+  // registos CSV com aspas, aspas escapadas ("") e quebras de linha dentro de campos;
+  // cada registo guarda a linha física onde começa
+  function parseCSV(text, delim){
+    text = stripBOM(text);
+    const hint = readSepHint(text);
+    if(hint) text = text.slice(hint.skip);
+    delim = delim || (hint ? hint.delim : detectDelimiter(text));
+
+    const records = [];
+    let row = [], field = "", inQuotes = false, quoted = false;
+    let line = (hint ? 2 : 1), rowLine = line, quoteLine = 0;
+
+    const endField = () => { row.push(quoted ? field : field.trim()); field = ""; quoted = false; };
+    const endRow = () => { endField(); records.push({ line: rowLine, cols: row }); row = []; };
+
+    for(let i=0; i<text.length; i++){
+      const c = text[i];
+      if(inQuotes){
+        if(c === "\""){
+          if(text[i+1] === "\""){ field += "\""; i++; }
+          else inQuotes = false;
+          continue;
+        }
+        if(c === "\n" || (c === "\r" && text[i+1] !== "\n")) line++;
+        field += c;
+        continue;
+      }
+      if(c === "\"" && !quoted && field.trim() === ""){
+        inQuotes = true; quoted = true; field = ""; quoteLine = line;
+        continue;
+      }
+      if(c === delim){ endField(); continue; }
+      if(c === "\r" || c === "\n"){
+        if(c === "\r" && text[i+1] === "\n") i++;
+        endRow();
+        line++; rowLine = line;
+        continue;
+      }
+      if(quoted) continue; // texto depois da aspa de fecho é ignorado
+      field += c;
+    }
+    if(field !== "" || quoted || row.length) endRow();
+
+    return { delim, records, unterminatedQuoteLine: inQuotes ? quoteLine : 0 };
+  }
+  // colunas canónicas do CSV e posição usada quando o cabeçalho não as tem
+  // (colunas opcionais não têm posição fixa: sem cabeçalho ficam ausentes)
+  const CSV_COLUMNS = [
+    { key: "animal",  name: "animal_id",          pos: 0 },
+    { key: "nasc",    name: "data_nasc",          pos: 1, optional: true },
+    { key: "sexo",    name: "sexo",               pos: 2 },
+    { key: "grupo",   name: "grupo",              pos: 3 },
+    { key: "dAnt",    name: "data_peso_anterior", pos: 4 },
+    { key: "pAnt",    name: "peso_anterior",      pos: 5 },
+    { key: "dAtual",  name: "data_peso_atual",    pos: 6 },
+    { key: "pAtual",  name: "peso_atual",         pos: 7 },
+    { key: "raca",    name: "raca",               pos: 8, optional: true }
+  ];
+  // "Data Nasc." / "DATA_NASC" / "data nasc" -> "data_nasc"
+  function normHeader(h){
+    return clean(h).toLowerCase()
+      .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  }
+  // perfil = nomes das colunas na origem + formato de data + separador decimal
+  function getDefaultMappingProfile(){
+    const colunas = {};
+    for(const c of CSV_COLUMNS) colunas[c.key] = c.name;
+    return { id: "padrao", nome: "Monte do Pasto (CSV padrão)", builtin: true, colunas, formatoData: "DMY", decimal: "," };
+  }
+
+  function normalizeMappingProfile(p){
+    const base = getDefaultMappingProfile();
+    const colunas = {};
+    for(const c of CSV_COLUMNS) colunas[c.key] = clean(p?.colunas?.[c.key]);
+    return {
+      id: clean(p?.id) || normHeader(p?.nome) || "perfil",
+      nome: clean(p?.nome) || clean(p?.id) || "Perfil",
+      builtin: false,
+      colunas,
+      formatoData: ["DMY","MDY","YMD"].includes(p?.formatoData) ? p.formatoData : base.formatoData,
+      decimal: [",","."].includes(p?.decimal) ? p.decimal : base.decimal
+    };
+  }
+
+  function allMappingProfiles(custom){
+    return [getDefaultMappingProfile(), ...(custom || []).map(normalizeMappingProfile)];
+  }
+
+  // quantas colunas obrigatórias do perfil existem neste cabeçalho
+  function scoreMappingProfile(profile, header){
+    const norm = header.map(normHeader);
+    let score = 0;
+    for(const c of CSV_COLUMNS){
+      const name = profile.colunas[c.key];
+      if(name && norm.includes(normHeader(name))) score += c.optional ? 0.5 : 1;
+    }
+    return score;
+  }
+
+  // opts.profile: objeto ou id; sem perfil escolhido, o que melhor encaixa no cabeçalho
+  function pickMappingProfile(header, opts = {}){
+    const all = allMappingProfiles(opts.profiles);
+    if(opts.profile && typeof opts.profile === "object") return { profile: normalizeMappingProfile(opts.profile), auto: false };
+    if(opts.profile){
+      const p = all.find(x => x.id === opts.profile);
+      if(!p) throw new Error(`Perfil de colunas "${opts.profile}" não existe.`);
+      return { profile: p, auto: false };
+    }
+    let best = all[0], bestScore = scoreMappingProfile(all[0], header);
+    for(const p of all.slice(1)){
+      const sc = scoreMappingProfile(p, header);
+      if(sc > bestScore){ best = p; bestScore = sc; }
+    }
+    return { profile: best, auto: true };
+  }
+
+  // o perfil padrão mantém a posição fixa quando o cabeçalho não tem a coluna
+  function resolveColumns(header, profile = getDefaultMappingProfile()){
+    const norm = header.map(normHeader);
+    const idx = {};
+    const missing = [];
+    for(const c of CSV_COLUMNS){
+      const name = profile.colunas[c.key] || "";
+      const i = name ? norm.indexOf(normHeader(name)) : -1;
+      if(i >= 0) idx[c.key] = i;
+      else if(c.optional) idx[c.key] = -1;
+      else { idx[c.key] = profile.builtin ? c.pos : -1; missing.push(name || c.name); }
+    }
+    return { idx, missing };
+  }
+  // linhas não vazias, com o número de linha original (1 = cabeçalho)
+  function readCSVLines(csvText){
+    const { delim, records, unterminatedQuoteLine } = parseCSV(csvText);
+    const lines = records.filter(r => r.cols.some(c => c !== ""));
+    const header = lines.length ? lines.shift().cols.map(clean) : [];
+    return { delim, header, lines, unterminatedQuoteLine };
   }
   function safeFloat(x, digits=2){ return Number.isFinite(x) ? x.toFixed(digits) : "—"; }
   function safeInt(x){ return Number.isFinite(x) ? String(Math.max(0, Math.ceil(x))) : "—"; }
+  function fmtEur(x){
+    if(!Number.isFinite(x)) return "—";
+    const r = Math.round(x);
+    return `${r < 0 ? "−" : ""}${Math.abs(r).toLocaleString("pt-PT")} €`;
+  }
+  function fmtAge(days){
+    if(!Number.isFinite(days) || days < 0) return "—";
+    return `${(days / 30.44).toFixed(1)} meses`;
+  }
+
+  // raça sem coluna no CSV: prefixo do nome do grupo ("MRUIVO10" -> "MRUIVO")
+  function racaDoGrupo(grupo){
+    const m = clean(grupo).toUpperCase().match(/^[A-ZÀ-Ý]+/);
+    return m ? m[0] : "—";
+  }
 
   /* ===================== REGRAS (iguais à base estável) ===================== */
   function performanceStatus(gmdInd, gmdMediaGrupo){
@@ -95,6 +428,68 @@
     if(days < 35) return ["Média","warn"];
     return ["Baixa","bad"];
   }
+  // dispersão relativa (desvio/média) das GMD reais do grupo
+  function gmdSpread(samples, u){
+    if(!samples || samples.length < 3) return u.CV_SEM_DADOS;
+    const m = samples.reduce((a,b)=>a+b,0) / samples.length;
+    if(!(m > 0)) return u.CV_MAX;
+    const sd = Math.sqrt(samples.reduce((a,x)=>a+(x-m)*(x-m),0) / (samples.length - 1));
+    return Math.min(u.CV_MAX, Math.max(u.CV_MIN, sd / m));
+  }
+  // meia-largura relativa do intervalo da GMD projetada (grupo + clima, já multiplicada por Z)
+  function gmdUncertainty(cvGrupo, ownGmd, meteoProvider, u){
+    const rGmd = ownGmd ? cvGrupo * u.FATOR_SERIE : cvGrupo;
+    const rClima = meteoProvider === "fallback" ? u.CLIMA_FALLBACK : u.CLIMA_DADOS;
+    return u.Z * Math.sqrt(rGmd*rGmd + rClima*rClima);
+  }
+  // janela de dias até ao alvo: cedo = peso e GMD no limite alto; tarde = ambos no limite baixo
+  function daysWindow(calc, kgMin, kgMax, gmd, rel){
+    if(!Number.isFinite(rel) || !Number.isFinite(gmd)) return [NaN, NaN];
+    return [calc(kgMax, gmd * (1 + rel)), calc(kgMin, gmd * Math.max(0.1, 1 - rel))];
+  }
+  function fmtWindow(todayUTC, dMin, dMax){
+    const d = (x) => Number.isFinite(x) ? fmtDate(addDaysUTC(todayUTC, Math.ceil(x))) : "?";
+    if(!Number.isFinite(dMin) && !Number.isFinite(dMax)) return "—";
+    return `${d(dMin)} – ${d(dMax)}`;
+  }
+  // motivo (ou null) por GMD: primeiro o intervalo plausível, depois a regra MAD/IQR
+  // sobre as que sobram — assim um valor absurdo não alarga os limites dos outros
+  function gmdOutliers(values, o){
+    const out = values.map(v => (v < o.GMD_MIN || v > o.GMD_MAX)
+      ? `GMD ${v.toFixed(2)} fora do intervalo plausível (${o.GMD_MIN} a ${o.GMD_MAX} kg/dia)`
+      : null);
+    const ok = values.filter((v,i) => !out[i]);
+    if(o.metodo === "nenhum" || ok.length < o.MIN_AMOSTRA) return out;
+
+    let lo, hi;
+    if(o.metodo === "iqr"){
+      const q1 = quantile(ok, 0.25), q3 = quantile(ok, 0.75);
+      lo = q1 - o.K_IQR * (q3 - q1);
+      hi = q3 + o.K_IQR * (q3 - q1);
+    }else{
+      const med = quantile(ok, 0.5);
+      const mad = quantile(ok.map(v => Math.abs(v - med)), 0.5);
+      if(!(mad > 0)) return out;
+      lo = med - o.K_MAD * 1.4826 * mad;
+      hi = med + o.K_MAD * 1.4826 * mad;
+    }
+    return values.map((v,i) => out[i] || ((v < lo || v > hi)
+      ? `GMD ${v.toFixed(2)} atípica no grupo (esperado ${lo.toFixed(2)} a ${hi.toFixed(2)})`
+      : null));
+  }
+  // chave e descrição da base de comparação do animal (null = média do grupo, mista)
+  function performanceBase(r, perf, idadeDias){
+    const sx = clean(r.sexo).toUpperCase();
+    if(perf.base === "grupo_sexo") return { key: `gs|${r.grupo}|${sx}`, label: `Grupo ${r.grupo} · ${sx}` };
+    if(perf.base === "grupo_raca") return { key: `gr|${r.grupo}|${r.raca}`, label: `Grupo ${r.grupo} · ${r.raca}` };
+    if(perf.base === "coorte_idade" && Number.isFinite(idadeDias)){
+      const c = Math.floor(idadeDias / perf.COORTE_DIAS);
+      const meses = (d) => Math.round(d / 30.44);
+      return { key: `ci|${sx}|${c}`, label: `Efetivo · ${sx} · ${meses(c * perf.COORTE_DIAS)}–${meses((c+1) * perf.COORTE_DIAS)} meses` };
+    }
+    if(perf.base === "grupo") return { key: `g|${r.grupo}`, label: `Grupo ${r.grupo}` };
+    return null;
+  }
   function factorSexo(sexo){ return (clean(sexo).toUpperCase()==="F") ? 0.92 : 1.00; }
   function factorMaturidade(peso, sexo){
     const s = clean(sexo).toUpperCase();
@@ -104,6 +499,61 @@
     return 0.80;
   }
 
+  /* ===================== CURVA DE CRESCIMENTO POR IDADE ===================== */
+  function curveBands(sexo, curve){
+    const c = curve || DEFAULTS.GROWTH_CURVE;
+    return (clean(sexo).toUpperCase()==="F") ? c.F : c.M;
+  }
+  // fim do escalão em dias de idade (null = sem limite)
+  function bandEnd(band){
+    return band.ateDias == null ? Infinity : band.ateDias;
+  }
+  function curveGmd(sexo, ageDays, curve){
+    if(!Number.isFinite(ageDays)) return NaN;
+    const bands = curveBands(sexo, curve);
+    for(const b of bands){
+      if(ageDays < bandEnd(b)) return b.gmd;
+    }
+    return bands[bands.length-1].gmd;
+  }
+  // ganho (kg) da curva entre as idades a e b, integrado por escalões
+  function curveGain(sexo, a, b, curve){
+    let gain = 0, t = a;
+    for(const band of curveBands(sexo, curve)){
+      if(t >= b) break;
+      if(t >= bandEnd(band)) continue;
+      const end = Math.min(b, bandEnd(band));
+      gain += (end - t) * band.gmd;
+      t = end;
+    }
+    return gain;
+  }
+  // fator médio da curva no período, relativo à GMD da idade na pesagem
+  function factorIdade(sexo, age0, days, curve){
+    const g0 = curveGmd(sexo, age0, curve);
+    if(!Number.isFinite(g0) || g0 <= 0) return NaN;
+    if(!Number.isFinite(days) || days <= 0) return 1;
+    return curveGain(sexo, age0, age0 + days, curve) / (days * g0);
+  }
+  // dias até ao alvo com a GMD a acompanhar a curva a partir da idade atual
+  function calcDaysToTargetByAge(pesoEst, alvo, gmd, ageNow, sexo, curve){
+    if(!Number.isFinite(pesoEst) || !Number.isFinite(alvo) || !Number.isFinite(gmd) || gmd<=0) return NaN;
+    if(pesoEst >= alvo) return 0;
+    const g0 = curveGmd(sexo, ageNow, curve);
+    if(!Number.isFinite(g0) || g0 <= 0) return calcDaysToTarget(pesoEst, alvo, gmd);
+
+    let falta = alvo - pesoEst, t = ageNow;
+    for(const band of curveBands(sexo, curve)){
+      if(t >= bandEnd(band)) continue;
+      const rate = gmd * band.gmd / g0;
+      const span = bandEnd(band) - t;
+      if(rate * span >= falta) return (t - ageNow) + falta / rate;
+      falta -= rate * span;
+      t = bandEnd(band);
+    }
+    return NaN;
+  }
+
   /* ===================== METEO (Open-Meteo histórico) ===================== */
   function factorFromTempMean(t){
     if(!Number.isFinite(t)) return 0.95;
@@ -113,21 +563,74 @@
     return 0.70;
   }
 
-  function fetchWithTimeout(url, timeoutMs){
+  // THI (NRC 1971): T em °C, HR em %
+  function calcTHI(t, rh){
+    if(!Number.isFinite(t) || !Number.isFinite(rh)) return NaN;
+    return (1.8*t + 32) - (0.55 - 0.0055*rh) * (1.8*t - 26);
+  }
+
+  // carga térmica do período: dias por classe de THI e fator = 1 - perda média diária
+  function thiLoad(tmax, rh, climate){
+    const lim = climate.THI, perda = climate.PERDA;
+    const out = { days: 0, alerta: 0, perigo: 0, emergencia: 0, thiMax: NaN, factor: NaN };
+    let loss = 0;
+    for(let i=0; i<(tmax || []).length; i++){
+      const thi = calcTHI(tmax[i], rh?.[i]);
+      if(!Number.isFinite(thi)) continue;
+      out.days++;
+      if(!(out.thiMax >= thi)) out.thiMax = thi;
+      if(thi >= lim.emergencia){ out.emergencia++; loss += perda.emergencia; }
+      else if(thi >= lim.perigo){ out.perigo++; loss += perda.perigo; }
+      else if(thi >= lim.alerta){ out.alerta++; loss += perda.alerta; }
+    }
+    if(out.days) out.factor = Math.max(climate.FATOR_MIN, 1 - loss / out.days);
+    return out;
+  }
+
+  // fator clima do período segundo o modelo escolhido; o outro fica calculado para comparar
+  function climateFactor(meteo, climate){
+    climate = { ...DEFAULTS.CLIMATE, ...(climate || {}) };
+    const fTemp = factorFromTempMean(meteo?.tmean);
+    const load = thiLoad(meteo?.tmax, meteo?.rh, climate);
+    const useTHI = climate.model === "thi" && Number.isFinite(load.factor);
+    return {
+      factor: useTHI ? load.factor : fTemp,
+      model: useTHI ? "thi" : "temp",
+      fTemp,
+      fTHI: load.factor,
+      stressDays: load.days ? (load.alerta + load.perigo + load.emergencia) : NaN,
+      thi: load
+    };
+  }
+
+  // fetch injetável (Core.ready({ fetch }) ou opts.fetch no processCSVText); por omissão o global
+  let fetchImpl = null;
+
+  function fetchWithTimeout(url, timeoutMs, fetchFn){
+    const f = fetchFn || fetchImpl || globalThis.fetch;
+    if(typeof f !== "function") return Promise.reject(new Error("fetch não disponível."));
     const controller = new AbortController();
     const t = setTimeout(()=>controller.abort(), timeoutMs);
-    return fetch(url, { signal: controller.signal })
+    return Promise.resolve(f(url, { signal: controller.signal }))
       .finally(()=>clearTimeout(t));
   }
 
+  // chave fonte|local|período; o local arredondado a 0,01° (~1 km) para mudar de exploração não reaproveitar médias
+  function meteoCacheKey(id, site, start, end){
+    const local = `${Number(site?.lat).toFixed(2)},${Number(site?.lon).toFixed(2)}`;
+    return `${id}|${local}|${start}|${end}`;
+  }
+
+  // só ficam em cache resultados reais de fontes remotas; chaves antigas sem o local
+  // (fonte|período ou só o período) são descartadas, porque não se sabe a que local pertencem
   function loadMeteoCache(){
     try{
-      const raw = localStorage.getItem(METEO_CACHE_KEY);
-      if(!raw) return new Map();
-      const obj = JSON.parse(raw);
+      const obj = readStore("meteoCache");
+      if(!obj) return new Map();
       const m = new Map();
       for(const [k,v] of Object.entries(obj || {})){
-        if(v && typeof v === "object") m.set(k, v);
+        if(!v || typeof v !== "object" || !Number.isFinite(v.tmean)) continue;
+        if(k.split("|").length === 4) m.set(k, v);
       }
       return m;
     }catch{
@@ -136,52 +639,145 @@
   }
 
   function saveMeteoCache(map){
-    try{
-      const obj = {};
-      for(const [k,v] of map.entries()){
-        obj[k] = v;
-      }
-      localStorage.setItem(METEO_CACHE_KEY, JSON.stringify(obj));
-    }catch{
-      /* ignore */
+    const obj = {};
+    for(const [k,v] of map.entries()){
+      if(v.ok && METEO_PROVIDERS.get(v.provider)?.remote) obj[k] = v;
     }
+    return writeStore("meteoCache", obj, "a cache meteo");
   }
 
-  async function getTempMeanForPeriod(site, meteoCacheMap, startUTC, endUTC, timeoutMs){
-    const start = isoDateUTC(startUTC);
-    const end = isoDateUTC(endUTC);
-    const key = `${start}|${end}`;
-    if(meteoCacheMap.has(key)) return meteoCacheMap.get(key);
+  /* ===================== FONTES DE METEOROLOGIA ===================== */
+  // fonte = { id, nome, remote, async getPeriod(startUTC, endUTC, ctx) -> { tmean, days, tmax?, rh? } }
+  // (tmax/rh = séries diárias para o THI; sem elas o fator usa as bandas de temperatura)
+  // getPeriod lança erro quando não tem dados para o período (passa-se à fonte seguinte)
+  const METEO_PROVIDERS = new Map();
+
+  function registerMeteoProvider(provider){
+    if(!provider?.id || typeof provider.getPeriod !== "function"){
+      throw new Error("Fonte de meteorologia inválida (precisa de id e getPeriod).");
+    }
+    METEO_PROVIDERS.set(provider.id, provider);
+    return provider;
+  }
 
-    const url =
-      `https://archive-api.open-meteo.com/v1/archive` +
-      `?latitude=${site.lat}&longitude=${site.lon}` +
-      `&start_date=${start}&end_date=${end}` +
-      `&daily=temperature_2m_mean` +
-      `&timezone=auto`;
+  function listMeteoProviders(){
+    return Array.from(METEO_PROVIDERS.values()).map(p=>({ id: p.id, nome: p.nome, remote: !!p.remote }));
+  }
 
-    try{
-      const r = await fetchWithTimeout(url, timeoutMs);
+  function meteoProviderName(id){
+    if(id === "fallback") return "Fallback (sem dados)";
+    return METEO_PROVIDERS.get(id)?.nome || id || "—";
+  }
+
+  function mean(arr){
+    return arr.length ? arr.reduce((a,b)=>a+b,0) / arr.length : NaN;
+  }
+  // quantil com interpolação linear (arr não precisa de vir ordenado)
+  function quantile(arr, q){
+    if(!arr.length) return NaN;
+    const s = [...arr].sort((a,b)=>a-b);
+    const pos = (s.length - 1) * q;
+    const i = Math.floor(pos);
+    return s[i] + (s[Math.min(i+1, s.length-1)] - s[i]) * (pos - i);
+  }
+
+  registerMeteoProvider({
+    id: "open-meteo",
+    nome: "Open-Meteo (histórico)",
+    remote: true,
+    async getPeriod(startUTC, endUTC, ctx){
+      const url =
+        `https://archive-api.open-meteo.com/v1/archive` +
+        `?latitude=${ctx.site.lat}&longitude=${ctx.site.lon}` +
+        `&start_date=${isoDateUTC(startUTC)}&end_date=${isoDateUTC(endUTC)}` +
+        `&daily=temperature_2m_mean,temperature_2m_max,relative_humidity_2m_mean` +
+        `&timezone=auto`;
+
+      const r = await fetchWithTimeout(url, ctx.timeoutMs, ctx.fetch);
       if(!r.ok) throw new Error(`HTTP ${r.status}`);
       const j = await r.json();
-      const temps = j?.daily?.temperature_2m_mean || [];
-      if(!temps.length){
-        const pack = { tmean: NaN, factor: 0.95 };
+      // os últimos dias do arquivo vêm a null
+      const temps = (j?.daily?.temperature_2m_mean || []).filter(Number.isFinite);
+      if(!temps.length) throw new Error("Sem dados no período.");
+      const tmax = [], rh = [];
+      (j.daily.temperature_2m_max || []).forEach((t, i) => {
+        const h = j.daily.relative_humidity_2m_mean?.[i];
+        if(Number.isFinite(t) && Number.isFinite(h)){ tmax.push(t); rh.push(h); }
+      });
+      return { tmean: mean(temps), days: temps.length, tmax, rh };
+    }
+  });
+
+  registerMeteoProvider({
+    id: "estacao",
+    nome: "Estação da exploração",
+    remote: false,
+    async getPeriod(startUTC, endUTC, ctx){
+      const days = ctx.station?.days || {};
+      const total = daysBetweenUTC(startUTC, endUTC) + 1;
+      const temps = [], tmax = [], rh = [];
+      for(let i=0; i<total; i++){
+        const d = days[isoDateUTC(addDaysUTC(startUTC, i))];
+        if(d && Number.isFinite(d.tmean)) temps.push(d.tmean);
+        if(d && Number.isFinite(d.tmax) && Number.isFinite(d.rh)){ tmax.push(d.tmax); rh.push(d.rh); }
+      }
+      if(!temps.length || temps.length < total * ctx.minCoverage){
+        throw new Error(`Estação com ${temps.length}/${total} dias no período.`);
+      }
+      return { tmean: mean(temps), days: temps.length, tmax, rh };
+    }
+  });
+
+  registerMeteoProvider({
+    id: "manual",
+    nome: "Tabela manual (médias mensais)",
+    remote: false,
+    async getPeriod(startUTC, endUTC, ctx){
+      const table = ctx.manual || {};
+      const total = daysBetweenUTC(startUTC, endUTC) + 1;
+      let sum = 0;
+      for(let i=0; i<total; i++){
+        const t = table[addDaysUTC(startUTC, i).getUTCMonth() + 1];
+        if(!Number.isFinite(t)) throw new Error("Tabela manual sem todos os meses do período.");
+        sum += t;
+      }
+      return { tmean: sum / total, days: total };
+    }
+  });
+
+  // tenta as fontes por ordem; falhas ficam marcadas só nesta execução (voltam a ser pedidas depois)
+  async function getTempMeanForPeriod(ctx, meteoCacheMap, startUTC, endUTC){
+    const start = isoDateUTC(startUTC);
+    const end = isoDateUTC(endUTC);
+
+    for(const id of ctx.providers){
+      const provider = METEO_PROVIDERS.get(id);
+      if(!provider) continue;
+
+      const key = meteoCacheKey(id, ctx.site, start, end);
+      if(meteoCacheMap.has(key)){
+        const hit = meteoCacheMap.get(key);
+        // cache anterior ao THI (sem séries diárias) volta a ser pedida quando o modelo é THI
+        const stale = hit.ok && ctx.needDaily && provider.remote && !Array.isArray(hit.tmax);
+        if(hit.ok && !stale) return hit;
+        if(!stale) continue;
+      }
+
+      try{
+        const r = await provider.getPeriod(startUTC, endUTC, ctx);
+        if(!Number.isFinite(r?.tmean)) throw new Error("Sem dados no período.");
+        const pack = { tmean: r.tmean, tmax: r.tmax || [], rh: r.rh || [], provider: id, ok: true, days: r.days };
         meteoCacheMap.set(key, pack);
         return pack;
+      }catch(err){
+        meteoCacheMap.set(key, { tmean: NaN, provider: id, ok: false, error: String(err?.message || err) });
       }
-      const tmean = temps.reduce((a,b)=>a+b,0)/temps.length;
-      const pack = { tmean, factor: factorFromTempMean(tmean) };
-      meteoCacheMap.set(key, pack);
-      return pack;
-    }catch{
-      const pack = { tmean: NaN, factor: 0.95 };
-      meteoCacheMap.set(key, pack);
-      return pack;
     }
+
+    return { tmean: NaN, tmax: [], rh: [], provider: "fallback", ok: false };
   }
 
-  async function preloadMeteoPeriods(cfg, site, meteoCacheMap, periodKeys, onProgress){
+  async function preloadMeteoPeriods(cfg, ctx, meteoCacheMap, periodKeys, onProgress){
     const keys = Array.from(periodKeys);
     let done = 0;
     const total = keys.length;
@@ -192,7 +788,7 @@
         const [s,e] = key.split("|");
         const sD = new Date(Date.UTC(+s.slice(0,4), +s.slice(5,7)-1, +s.slice(8,10)));
         const eD = new Date(Date.UTC(+e.slice(0,4), +e.slice(5,7)-1, +e.slice(8,10)));
-        await getTempMeanForPeriod(site, meteoCacheMap, sD, eD, cfg.METEO_TIMEOUT_MS);
+        await getTempMeanForPeriod(ctx, meteoCacheMap, sD, eD);
         done++;
         if(onProgress) onProgress(done, total);
       }
@@ -204,6 +800,78 @@
     await Promise.all(workers);
   }
 
+  /* ===================== ESTAÇÃO DA EXPLORAÇÃO (leituras diárias) ===================== */
+  function getEmptyStation(){
+    return { version: 1, updated_at: null, days: {} };
+  }
+
+  function loadStation(){
+    const stn = readStore("station");
+    return (stn && stn.days) ? stn : getEmptyStation();
+  }
+
+  function saveStation(stn){
+    return writeStore("station", stn, "as leituras da estação");
+  }
+
+  const STATION_FIELDS = {
+    date: ["data", "date", "dia", "time", "data_hora", "datetime"],
+    tmean: ["tmed", "tmean", "temp_media", "temperatura_media", "temperature_2m_mean", "t_media", "temp", "temperatura"],
+    tmax: ["tmax", "temp_max", "temperatura_maxima", "temperature_2m_max", "t_max"],
+    tmin: ["tmin", "temp_min", "temperatura_minima", "temperature_2m_min", "t_min"],
+    rh: ["hr", "rh", "humidade", "humidade_relativa", "relative_humidity_2m_mean", "rh_mean", "hr_media"]
+  };
+
+  // leituras (diárias ou horárias) -> um registo por dia (média / máx / mín)
+  function parseStationText(text){
+    text = stripBOM(text).trim();
+    let rows;
+    if(text.startsWith("[") || text.startsWith("{")){
+      const j = JSON.parse(text);
+      rows = Array.isArray(j) ? j : (Array.isArray(j?.days) ? j.days : Object.entries(j?.days || {}).map(([date,v])=>({ date, ...v })));
+    }else{
+      const { records } = parseCSV(text);
+      const header = (records.shift()?.cols || []).map(normHeader);
+      rows = records.map(r => Object.fromEntries(header.map((h,i)=>[h, r.cols[i]])));
+    }
+
+    const pick = (row, field) => {
+      for(const k of Object.keys(row)){
+        if(STATION_FIELDS[field].includes(normHeader(k))) return row[k];
+      }
+      return undefined;
+    };
+    const num = (v) => (typeof v === "number") ? v : parseNumber(v);
+
+    const acc = {};
+    for(const row of rows){
+      const d = parseDatePT(clean(pick(row, "date")).split(/[ T]/)[0]);
+      if(!d) continue;
+      const a = (acc[isoDateUTC(d)] ||= { t:[], tmax:[], tmin:[], rh:[] });
+      const tmean = num(pick(row, "tmean")), tmax = num(pick(row, "tmax")), tmin = num(pick(row, "tmin")), rh = num(pick(row, "rh"));
+      if(Number.isFinite(tmean)) a.t.push(tmean);
+      if(Number.isFinite(tmax)) a.tmax.push(tmax);
+      if(Number.isFinite(tmin)) a.tmin.push(tmin);
+      if(Number.isFinite(rh)) a.rh.push(rh);
+    }
+
+    const days = {};
+    for(const [date, a] of Object.entries(acc)){
+      const tmax = a.tmax.length ? Math.max(...a.tmax) : (a.t.length > 1 ? Math.max(...a.t) : NaN);
+      const tmin = a.tmin.length ? Math.min(...a.tmin) : (a.t.length > 1 ? Math.min(...a.t) : NaN);
+      let tmean = mean(a.t);
+      if(!Number.isFinite(tmean) && Number.isFinite(tmax) && Number.isFinite(tmin)) tmean = (tmax + tmin) / 2;
+      if(!Number.isFinite(tmean) && !Number.isFinite(tmax)) continue;
+      days[date] = { tmean, tmax, tmin, rh: mean(a.rh) };
+    }
+    return days;
+  }
+
+  function stationSummary(stn){
+    const dates = Object.keys(stn?.days || {}).sort();
+    return { days: dates.length, from: dates[0] || null, to: dates[dates.length-1] || null, updated_at: stn?.updated_at || null };
+  }
+
   /* ===================== FORECAST HELPERS ===================== */
   function pickGmdUsed(realGmd, fallback){
     return Number.isFinite(realGmd) && realGmd>0 ? realGmd : fallback;
@@ -220,158 +888,1730 @@
     return (alvo - pesoEst) / gmd;
   }
 
-  /* ===================== STATE (localStorage) ===================== */
-  function getEmptyState(){
-    return {
-      version: 2,
-      generated_at: null,
-      config: {
-        SITE: { ...DEFAULTS.SITE },
-        CONSERVATIVE_FALLBACK_GMD: DEFAULTS.CONSERVATIVE_FALLBACK_GMD
-      },
-      meta: {
-        delimiter: ";",
-        lines: 0,
-        processed_ok: 0,
-        processed_fail: 0
-      },
-      todayUTC: null,
-
-      // outputs
-      animalsOut: [],
-      groupsOut: [],
-      groupAgg: {},
-      gmdEstimativaGrupo: {},
-      gmdMediaGrupo: {},
-
-      // remember last targets for convenience (UI)
-      targets: { targetM: 620, targetF: 520 }
-    };
+  /* ===================== PESAGENS (histórico persistente por animal) ===================== */
+  function getEmptyWeighings(){
+    return { version: 1, updated_at: null, animals: {} };
   }
 
-  function loadState(){
-    try{
-      const raw = localStorage.getItem(STORAGE_KEY);
-      if(!raw) return null;
-      const st = JSON.parse(raw);
-      if(!st || typeof st !== "object") return null;
-      return st;
-    }catch{
-      return null;
-    }
+  function loadWeighings(){
+    const led = readStore("weighings");
+    if(!led || typeof led !== "object" || !led.animals) return getEmptyWeighings();
+    return led;
   }
 
-  function saveState(state){
-    try{
-      localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
-      return true;
-    }catch{
-      return false;
+  // junta uma pesagem ao histórico; mesma data = a mais recente importada substitui
+  function addWeighing(ledger, animal, dateUTC, kg){
+    if(!animal || animal === "—" || !dateUTC || !Number.isFinite(kg)) return false;
+    const date = isoDateUTC(dateUTC);
+    const list = (ledger.animals[animal] ||= []);
+    const i = list.findIndex(w => w.date === date);
+    if(i >= 0){
+      if(list[i].kg === kg) return false;
+      list[i] = { date, kg };
+    }else{
+      list.push({ date, kg });
+      list.sort((a,b)=>a.date.localeCompare(b.date));
     }
+    return true;
   }
 
-  function clearState(){
-    localStorage.removeItem(STORAGE_KEY);
+  function getWeighings(ledger, animal){
+    return (ledger?.animals?.[animal] || []).map(w=>({ date: w.date, kg: w.kg }));
   }
 
-  function ensureState(){
-    return loadState() || getEmptyState();
+  // GMD pela reta de mínimos quadrados de toda a série (com 2 pesagens = ganho/dias)
+  function gmdFromSeries(series){
+    if(!series || series.length < 2) return NaN;
+    const t0 = Date.parse(series[0].date);
+    const pts = series.map(w=>[ (Date.parse(w.date) - t0) / 86400000, w.kg ]);
+    const n = pts.length;
+    const mx = pts.reduce((a,p)=>a+p[0],0) / n;
+    const my = pts.reduce((a,p)=>a+p[1],0) / n;
+    let sxy = 0, sxx = 0;
+    for(const [x,y] of pts){ sxy += (x-mx)*(y-my); sxx += (x-mx)*(x-mx); }
+    return sxx > 0 ? sxy / sxx : NaN;
   }
 
-  /* ===================== CSV PROCESS (igual à base estável, mas “headless”) ===================== */
-  async function processCSVText(csvText, opts = {}){
-    const cfg = {
-      SITE: opts.SITE || DEFAULTS.SITE,
-      CONSERVATIVE_FALLBACK_GMD: Number.isFinite(opts.CONSERVATIVE_FALLBACK_GMD) ? opts.CONSERVATIVE_FALLBACK_GMD : DEFAULTS.CONSERVATIVE_FALLBACK_GMD,
-      METEO_TIMEOUT_MS: Number.isFinite(opts.METEO_TIMEOUT_MS) ? opts.METEO_TIMEOUT_MS : DEFAULTS.METEO_TIMEOUT_MS,
-      METEO_CONCURRENCY: Number.isFinite(opts.METEO_CONCURRENCY) ? opts.METEO_CONCURRENCY : DEFAULTS.METEO_CONCURRENCY
-    };
+  /* ===================== MOVIMENTOS (entradas, saídas e mudanças de grupo) ===================== */
+  // { version, updated_at, animais: { id -> { sexo, grupo, nasc, raca, visto } }, eventos: [...] }
+  // o registo de animais guarda tudo o que já apareceu num CSV: um animal vendido que sai do
+  // ficheiro continua a contar nas datas em que ainda cá estava
+  const EVENT_TYPES = {
+    nascimento:    { label: "Nascimento",      classe: "entrada" },
+    compra:        { label: "Compra",          classe: "entrada" },
+    venda:         { label: "Venda",           classe: "saida" },
+    morte:         { label: "Morte",           classe: "saida" },
+    abate:         { label: "Abate",           classe: "saida" },
+    transferencia: { label: "Mudança de grupo", classe: "grupo" }
+  };
 
-    const onProgress = (typeof opts.onProgress === "function") ? opts.onProgress : null;
+  // classes de idade do recenseamento (dias)
+  const CENSUS_AGE_CLASSES = [
+    { id: "m6",  label: "< 6 meses",   ateDias: 183 },
+    { id: "m12", label: "6–12 meses",  ateDias: 365 },
+    { id: "m24", label: "12–24 meses", ateDias: 730 },
+    { id: "p24", label: "> 24 meses",  ateDias: Infinity }
+  ];
 
-    const st = getEmptyState();
-    st.config.SITE = { ...cfg.SITE };
-    st.config.CONSERVATIVE_FALLBACK_GMD = cfg.CONSERVATIVE_FALLBACK_GMD;
+  function getEmptyEvents(){
+    return { version: 1, updated_at: null, animais: {}, eventos: [] };
+  }
 
-    const delim = detectDelimiter(csvText);
-    st.meta.delimiter = delim;
+  function loadEvents(){
+    const led = readStore("events");
+    if(!led || typeof led !== "object" || !Array.isArray(led.eventos)) return getEmptyEvents();
+    led.animais ||= {};
+    return led;
+  }
 
-    const lines = csvText.split(/\r?\n/).map(l=>l.trim()).filter(Boolean);
-    if(lines.length < 2){
-      throw new Error("CSV vazio ou inválido.");
+  function normalizeEvent(e){
+    const tipo = clean(e?.tipo);
+    const t = EVENT_TYPES[tipo];
+    if(!t) throw new Error(`Tipo de movimento desconhecido: ${tipo || "(vazio)"}.`);
+    const animal = clean(e.animal);
+    if(!animal) throw new Error("Falta o animal.");
+    const d = parseDateFmt(clean(e.data).slice(0, 10), "YMD");
+    if(!d) throw new Error(`Data inválida: ${e.data || "(vazia)"}.`);
+    const out = {
+      id: e.id || `ev_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      tipo,
+      animal,
+      data: isoDateUTC(d),
+      motivo: clean(e.motivo) || null,
+      origem: e.origem === "importacao" ? "importacao" : "manual",
+      registado_em: e.registado_em || new Date().toISOString(),
+      por: e.por || null
+    };
+    if(t.classe === "entrada" || t.classe === "grupo"){
+      out.grupo = clean(e.grupo);
+      if(!out.grupo) throw new Error(t.classe === "grupo" ? "Falta o grupo de destino." : "Falta o grupo de entrada.");
+    }
+    if(t.classe === "grupo") out.grupoDe = clean(e.grupoDe) || null;
+    if(t.classe === "entrada"){
+      out.sexo = clean(e.sexo).toUpperCase() || null;
+      if(out.sexo && !["M", "F"].includes(out.sexo)) throw new Error(`Sexo inválido: ${e.sexo}.`);
+      const n = e.nasc ? parseDateFmt(clean(e.nasc).slice(0, 10), "YMD") : null;
+      out.nasc = n ? isoDateUTC(n) : (tipo === "nascimento" ? out.data : null);
+      out.raca = clean(e.raca) || null;
+    }
+    if(t.classe === "saida"){
+      const kg = typeof e.kg === "number" ? e.kg : parseNumber(e.kg);
+      out.kg = Number.isFinite(kg) && kg > 0 ? kg : null;
     }
-    st.meta.lines = lines.length - 1;
+    return out;
+  }
 
-    const now = new Date();
-    const todayUTC = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
-    st.todayUTC = todayUTC.toISOString();
+  // lista de movimentos ou registo completo (ficheiro JSON, CLI) -> registo
+  function normalizeEvents(x){
+    const led = getEmptyEvents();
+    const list = Array.isArray(x) ? x : (x?.eventos || []);
+    led.eventos = list.map(e => normalizeEvent(e));
+    if(!Array.isArray(x) && x?.animais) led.animais = { ...x.animais };
+    led.updated_at = new Date().toISOString();
+    return led;
+  }
 
-    const header = lines[0].split(delim).map(clean);
-    const idx = (name) => header.indexOf(name);
+  // animais conhecidos: o registo + o efetivo guardado (importações anteriores ao registo)
+  function knownAnimals(led){
+    const out = {};
+    for(const e of loadState()?.efetivo || []){
+      if(e.animal && e.animal !== "—") out[e.animal] = { sexo: e.sexo, grupo: e.grupo, nasc: e.nasc, raca: e.raca || null };
+    }
+    return { ...out, ...(led?.animais || {}) };
+  }
 
-    const i_animal = idx("animal_id") >= 0 ? idx("animal_id") : 0;
-    const i_sexo   = idx("sexo") >= 0 ? idx("sexo") : 2;
-    const i_grupo  = idx("grupo") >= 0 ? idx("grupo") : 3;
-    const i_dant   = idx("data_peso_anterior") >= 0 ? idx("data_peso_anterior") : 4;
-    const i_pant   = idx("peso_anterior") >= 0 ? idx("peso_anterior") : 5;
-    const i_datual = idx("data_peso_atual") >= 0 ? idx("data_peso_atual") : 6;
-    const i_patual = idx("peso_atual") >= 0 ? idx("peso_atual") : 7;
+  function eventsByAnimal(led){
+    const by = new Map();
+    for(const e of led?.eventos || []) (by.get(e.animal) || by.set(e.animal, []).get(e.animal)).push(e);
+    for(const list of by.values()) list.sort((a,b)=>a.data.localeCompare(b.data) || a.registado_em.localeCompare(b.registado_em));
+    return by;
+  }
 
-    if(onProgress) onProgress({ phase:"parse", message:`A ler dados…`, done:0, total:st.meta.lines });
+  // grupo numa data: destino da última mudança até lá; antes da primeira, o grupo de onde saiu
+  function groupAt(list, iso, fallback){
+    const moves = (list || []).filter(e => e.tipo === "transferencia");
+    let g = null;
+    for(const e of moves){
+      if(e.data <= iso) g = e.grupo;
+    }
+    if(g) return g;
+    const next = moves.find(e => e.data > iso);
+    return next?.grupoDe || fallback;
+  }
 
-    const rows = [];
-    const gmdIndSamples = {}; // grupo -> [gmdInd]
-    const periodKeys = new Set();
+  // entradas e saídas do animal (lista de eventsByAnimal) na data: a última até iso, a última entrada
+  // até iso e a primeira depois; fora = já saiu, ou ainda não tinha entrado (um animal vendido e
+  // depois comprado outra vez volta a contar a partir da nova entrada)
+  function inOutAt(list, iso){
+    let ultima = null, entrada = null, proxima = null;
+    for(const e of list || []){
+      const classe = EVENT_TYPES[e.tipo].classe;
+      if(classe !== "entrada" && classe !== "saida") continue;
+      if(e.data <= iso){
+        ultima = e;
+        if(classe === "entrada") entrada = e;
+      }else if(!proxima){
+        proxima = e;
+      }
+    }
+    const fora = ultima
+      ? EVENT_TYPES[ultima.tipo].classe === "saida"
+      : EVENT_TYPES[proxima?.tipo]?.classe === "entrada";
+    return { ultima, entrada, proxima, fora };
+  }
 
-    for(let li=1; li<lines.length; li++){
-      const cols = lines[li].split(delim);
+  // importação: atualiza o registo de animais e regista as mudanças de grupo que o CSV mostra;
+  // a data real da mudança não vem no ficheiro, fica a data da importação
+  function syncEventRegistry(led, efetivo, iso){
+    const by = eventsByAnimal(led);
+    let detetadas = 0;
+    for(const e of efetivo){
+      if(!e.animal || e.animal === "—") continue;
+      const reg = led.animais[e.animal];
+      // só quando o próprio CSV muda de grupo; uma mudança já registada à mão não se repete
+      if(reg && reg.grupo !== e.grupo && e.grupo !== "—"){
+        const atual = groupAt(by.get(e.animal), iso, reg.grupo);
+        if(atual !== e.grupo){
+          led.eventos.push(normalizeEvent({
+            tipo: "transferencia", animal: e.animal, data: iso, grupoDe: atual, grupo: e.grupo,
+            motivo: "detetada na importação", origem: "importacao"
+          }));
+          detetadas++;
+        }
+      }
+      led.animais[e.animal] = { sexo: e.sexo, grupo: e.grupo, nasc: e.nasc, raca: e.raca, visto: iso };
+    }
+    led.updated_at = new Date().toISOString();
+    return detetadas;
+  }
 
-      const animal = clean(cols[i_animal]) || "—";
-      const sexo   = clean(cols[i_sexo]).toUpperCase() || "—";
-      const grupo  = clean(cols[i_grupo]) || "—";
+  // efetivo numa data: o CSV + animais do registo/entradas, sem os que já saíram ou ainda não
+  // tinham entrado, com o grupo dessa data. Fora do CSV, sem saída registada e depois da última
+  // vez que apareceu = por esclarecer (não conta).
+  function herdAsOf(efetivo, led, iso){
+    const by = eventsByAnimal(led);
+    const noCSV = new Map(efetivo.map(e => [e.animal, e]));
+    const ids = new Set([...noCSV.keys(), ...Object.keys(led?.animais || {}), ...by.keys()]);
+    const herd = [];
+    const semSaida = [];
+    let saidos = 0, porEntrar = 0;
 
-      const dAnt   = parseDatePT(cols[i_dant]);
-      const pAnt   = parseNumber(cols[i_pant]);
-      const dAtual = parseDatePT(cols[i_datual]);
-      const pAtual = parseNumber(cols[i_patual]);
+    for(const id of ids){
+      const list = by.get(id) || [];
+      const { ultima, entrada, proxima, fora } = inOutAt(list, iso);
+      if(fora && !ultima){ porEntrar++; continue; }
+      if(fora){ saidos++; continue; }
 
-      let gmdInd = NaN;
-      if(dAnt && dAtual && Number.isFinite(pAnt) && Number.isFinite(pAtual)){
-        const d = daysBetweenUTC(dAnt, dAtual);
-        if(Number.isFinite(d) && d > 0){
-          gmdInd = (pAtual - pAnt) / d;
-          if(Number.isFinite(gmdInd)){
-            (gmdIndSamples[grupo] ||= []).push(gmdInd);
-          }
-        }
+      const csv = noCSV.get(id);
+      const reg = led?.animais?.[id];
+      if(!csv && !ultima && !proxima){
+        // ainda estava no último CSV em que apareceu; depois disso, sem saída registada
+        if(!reg?.visto || reg.visto < iso){ semSaida.push(id); continue; }
       }
 
-      if(dAtual){
-        periodKeys.add(`${isoDateUTC(dAtual)}|${isoDateUTC(todayUTC)}`);
-      }
+      const base = csv || {
+        animal: id,
+        sexo: reg?.sexo || entrada?.sexo || "—",
+        grupo: reg?.grupo || entrada?.grupo || "—",
+        nasc: reg?.nasc || entrada?.nasc || null,
+        raca: reg?.raca || entrada?.raca || null,
+        dAnt: null, pAnt: null, dAtual: null, pAtual: null
+      };
+      herd.push({ ...base, grupo: groupAt(list, iso, base.grupo) });
+    }
+    return { herd, saidos, porEntrar, semSaida: semSaida.sort() };
+  }
 
-      rows.push({animal, sexo, grupo, dAnt, pAnt, dAtual, pAtual, gmdInd});
+  function ageClass(idadeDias){
+    if(!Number.isFinite(idadeDias)) return null;
+    return CENSUS_AGE_CLASSES.find(c => idadeDias < c.ateDias) || null;
+  }
 
-      if(onProgress && li % 200 === 0){
-        onProgress({ phase:"parse", message:`A ler dados…`, done:li-1, total:st.meta.lines });
+  // recenseamento na data do estado: grupo × sexo × classe de idade; com options.de, os
+  // movimentos desde essa data até à data do estado (inclusive)
+  function buildCensus(state, options = {}){
+    const data = state?.todayUTC ? isoDateUTC(new Date(state.todayUTC)) : isoDateUTC(dayUTC());
+    const vazio = () => Object.fromEntries([...CENSUS_AGE_CLASSES.map(c => [c.id, 0]), ["sem", 0], ["total", 0]]);
+    const grupos = {};
+    const totais = { M: vazio(), F: vazio(), total: vazio() };
+    for(const a of state?.animalsOut || []){
+      const g = (grupos[a.grupo] ||= { grupo: a.grupo, M: vazio(), F: vazio(), total: vazio() });
+      const sx = clean(a.sexo).toUpperCase() === "F" ? "F" : "M";
+      const c = ageClass(a.idadeDias)?.id || "sem";
+      for(const linha of [g[sx], g.total, totais[sx], totais.total]){
+        linha[c]++;
+        linha.total++;
       }
     }
 
-    // meteo cache (persistente entre runs)
-    const meteoCacheMap = loadMeteoCache();
+    const led = options.events || getEmptyEvents();
+    const de = options.de ? isoDateUTC(parseDateFmt(options.de, "YMD") || dayUTC(options.de)) : null;
+    let movimentos = null;
+    if(de){
+      const lista = led.eventos
+        .filter(e => e.data >= de && e.data <= data)
+        .sort((a,b)=>a.data.localeCompare(b.data) || a.animal.localeCompare(b.animal));
+      const porTipo = Object.fromEntries(Object.keys(EVENT_TYPES).map(t => [t, 0]));
+      for(const e of lista) porTipo[e.tipo]++;
+      movimentos = { de, lista, porTipo };
+    }
 
-    if(onProgress) onProgress({ phase:"meteo", message:`A pedir meteorologia…`, done:0, total:periodKeys.size });
+    return {
+      data,
+      dataTexto: fmtDate(parseDateFmt(data, "YMD")),
+      classes: CENSUS_AGE_CLASSES.map(c => ({ id: c.id, label: c.label })),
+      grupos: Object.values(grupos).sort((a,b)=>a.grupo.localeCompare(b.grupo)),
+      totais,
+      movimentos,
+      semSaida: state?.meta?.sem_saida || []
+    };
+  }
 
-    await preloadMeteoPeriods(cfg, cfg.SITE, meteoCacheMap, periodKeys, (done,total)=>{
-      if(onProgress) onProgress({ phase:"meteo", message:`A pedir meteorologia…`, done, total });
-    });
+  function censusRows(c){
+    const cols = [...c.classes.map(x => x.id), "sem", "total"];
+    const rows = [["grupo", "sexo", ...c.classes.map(x => x.label), "sem data de nascimento", "total"]];
+    const push = (grupo, sexo, linha) => rows.push([grupo, sexo, ...cols.map(k => linha[k])]);
+    for(const g of c.grupos){
+      push(g.grupo, "M", g.M);
+      push(g.grupo, "F", g.F);
+    }
+    push("total", "M", c.totais.M);
+    push("total", "F", c.totais.F);
+    push("total", "M+F", c.totais.total);
+    return rows;
+  }
 
-    saveMeteoCache(meteoCacheMap);
+  /* ===================== SAÚDE (tratamentos e intervalos de segurança) ===================== */
+  // { version, updated_at, registos: [{ id, tipo, animal | grupo, data, produto, dose, intervaloCarne, notas }] }
+  // um registo de grupo vale para os animais que estavam no grupo nesse dia
+  const TREATMENT_TYPES = {
+    tratamento: "Tratamento",
+    vacina:     "Vacinação",
+    visita:     "Visita veterinária"
+  };
 
-    // médias reais por grupo (misto) para estado
-    const gmdMediaGrupo = {};
-    for(const r of rows){
-      const g = r.grupo || "—";
+  function getEmptyTreatments(){
+    return { version: 1, updated_at: null, registos: [] };
+  }
+
+  function loadTreatments(){
+    const led = readStore("treatments");
+    if(!led || typeof led !== "object" || !Array.isArray(led.registos)) return getEmptyTreatments();
+    return led;
+  }
+
+  function normalizeTreatment(t){
+    const tipo = clean(t?.tipo) || "tratamento";
+    if(!TREATMENT_TYPES[tipo]) throw new Error(`Tipo de registo desconhecido: ${tipo}.`);
+    const animal = clean(t.animal) || null;
+    const grupo = animal ? null : (clean(t.grupo) || null);
+    if(!animal && !grupo) throw new Error("Indica o animal ou o grupo.");
+    const d = parseDateFmt(clean(t.data).slice(0, 10), "YMD");
+    if(!d) throw new Error(`Data inválida: ${t.data || "(vazia)"}.`);
+    const produto = clean(t.produto) || null;
+    if(!produto && tipo !== "visita") throw new Error("Falta o produto.");
+    const dias = (t.intervaloCarne === "" || t.intervaloCarne == null) ? 0
+      : (typeof t.intervaloCarne === "number" ? t.intervaloCarne : parseNumber(t.intervaloCarne));
+    if(!Number.isFinite(dias) || dias < 0) throw new Error(`Intervalo de segurança inválido: ${t.intervaloCarne}.`);
+    return {
+      id: t.id || `tr_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`,
+      tipo, animal, grupo,
+      data: isoDateUTC(d),
+      produto,
+      dose: clean(t.dose) || null,
+      intervaloCarne: Math.round(dias),
+      notas: clean(t.notas) || null,
+      registado_em: t.registado_em || new Date().toISOString(),
+      por: t.por || null
+    };
+  }
+
+  // lista de registos ou ficheiro completo (JSON, CLI) -> registo
+  function normalizeTreatments(x){
+    const led = getEmptyTreatments();
+    led.registos = (Array.isArray(x) ? x : (x?.registos || [])).map(t => normalizeTreatment(t));
+    led.updated_at = new Date().toISOString();
+    return led;
+  }
+
+  // registos que tocam o animal até à data: os dele e os do grupo em que estava nesse dia
+  // (não contam os de antes de nascer ou de entrar no efetivo)
+  function treatmentsFor(r, led, eventos, iso){
+    const list = eventos?.get(r.animal);
+    const nasc = r.dNasc ? isoDateUTC(r.dNasc) : null;
+    return (led?.registos || []).filter(t => {
+      if(t.data > iso) return false;
+      if(t.animal) return t.animal === r.animal;
+      if((nasc && t.data < nasc) || inOutAt(list, t.data).fora) return false;
+      return groupAt(list, t.data, r.grupo) === t.grupo;
+    }).sort((a,b)=>a.data.localeCompare(b.data));
+  }
+
+  // intervalo de segurança (carne): o animal só pode sair a partir de data + dias do último a acabar
+  function withdrawalEnd(registos){
+    let fim = null, produto = null;
+    for(const t of registos){
+      if(!(t.intervaloCarne > 0)) continue;
+      const f = isoDateUTC(addDaysUTC(parseDateFmt(t.data, "YMD"), t.intervaloCarne));
+      if(!fim || f > fim){ fim = f; produto = t.produto; }
+    }
+    return { fim, produto };
+  }
+
+  // tratamentos repetidos vs GMD: quantos dos animais muito tratados estão abaixo da base
+  function healthGmdSummary(state){
+    const fraco = (a) => a.bucket === "o" || a.bucket === "r";
+    const comEstado = (state?.animalsOut || []).filter(a => a.bucket && a.bucket !== "none");
+    const rep = comEstado.filter(a => a.tratamentosRepetidos);
+    const outros = comEstado.filter(a => !a.tratamentosRepetidos);
+    const pct = (l) => l.length ? l.filter(fraco).length / l.length : NaN;
+    return {
+      janelaDias: state?.config?.HEALTH?.JANELA_DIAS ?? DEFAULTS.HEALTH.JANELA_DIAS,
+      repetidos: rep.length,
+      repetidosFracos: rep.filter(fraco).length,
+      pctRepetidos: pct(rep),
+      outros: outros.length,
+      pctOutros: pct(outros),
+      emIntervalo: (state?.animalsOut || []).filter(a => a.intervaloAte).length
+    };
+  }
+
+  /* ===================== HISTÓRICO (snapshots datados) ===================== */
+  // cada snapshot guarda só o necessário para comparar: resumo por grupo e, por animal,
+  // [grupo, sexo, bucket 🟢/🟡/🔴, peso estimado]
+  const BUCKET_LABEL = { g:"🟢", o:"🟡", r:"🔴", none:"—" };
+
+  function getEmptyHistory(){
+    return { version: 1, snapshots: [] };
+  }
+
+  function loadHistory(){
+    const h = readStore("history");
+    if(!h || !Array.isArray(h.snapshots)) return getEmptyHistory();
+    return h;
+  }
+
+  // sem espaço: larga o snapshot mais antigo e tenta outra vez (o mais recente fica sempre)
+  async function saveHistory(hist){
+    while(true){
+      try{
+        return await writeStore("history", hist, "o histórico de snapshots");
+      }catch(err){
+        if(!err.quota || hist.snapshots.length <= 1) throw err;
+        hist.snapshots.shift();
+      }
+    }
+  }
+
+  function makeSnapshot(st){
+    const round1 = (x) => Number.isFinite(x) ? Math.round(x*10)/10 : null;
+    const round3 = (x) => Number.isFinite(x) ? Math.round(x*1000)/1000 : null;
+
+    const grupos = (st.groupsOut || []).map(g=>{
+      const nEst = (g.m||0) + (g.f||0);
+      const nGmd = (g.nGmdM||0) + (g.nGmdF||0);
+      const total = (g.ok||0) + (g.warn||0) + (g.bad||0);
+      return {
+        name: g.name,
+        n: g.n, m: g.m, f: g.f,
+        pesoEst: round1(nEst ? ((g.sumEstM||0) + (g.sumEstF||0)) / nEst : NaN),
+        gmd: round3(nGmd ? ((g.sumGmdM||0) + (g.sumGmdF||0)) / nGmd : NaN),
+        ok: g.ok||0, warn: g.warn||0, bad: g.bad||0,
+        risco: total ? round3(((g.warn||0) + (g.bad||0)) / total) : null,
+        vermelho: total ? round3((g.bad||0) / total) : null
+      };
+    });
+
+    const animais = {};
+    for(const a of st.animalsOut || []){
+      animais[a.animal] = [a.grupo, a.sexo, a.bucket || "none", round1(a.estKg)];
+    }
+
+    return {
+      id: st.generated_at,
+      generated_at: st.generated_at,
+      todayUTC: st.todayUTC,
+      lines: st.meta?.lines ?? 0,
+      grupos,
+      animais
+    };
+  }
+
+  function applyRetention(hist, cfg, now = new Date()){
+    const max = Number.isFinite(cfg?.MAX_SNAPSHOTS) && cfg.MAX_SNAPSHOTS >= 1 ? Math.floor(cfg.MAX_SNAPSHOTS) : DEFAULTS.HISTORY.MAX_SNAPSHOTS;
+    const days = Number.isFinite(cfg?.MAX_DAYS) && cfg.MAX_DAYS >= 1 ? cfg.MAX_DAYS : DEFAULTS.HISTORY.MAX_DAYS;
+    const limit = now.getTime() - days * 86400000;
+
+    const list = hist.snapshots
+      .slice()
+      .sort((a,b)=>Date.parse(a.generated_at) - Date.parse(b.generated_at));
+    const last = list[list.length-1];
+    hist.snapshots = list
+      .filter(s => s === last || Date.parse(s.generated_at) >= limit)
+      .slice(-max);
+    return hist;
+  }
+
+  function recordSnapshot(st){
+    const hist = loadHistory();
+    hist.snapshots = hist.snapshots.filter(s => s.id !== st.generated_at);
+    hist.snapshots.push(makeSnapshot(st));
+    applyRetention(hist, st.config?.HISTORY);
+    return saveHistory(hist);
+  }
+
+  function snapshotInfo(s){
+    return {
+      id: s.id,
+      generated_at: s.generated_at,
+      animais: Object.keys(s.animais || {}).length,
+      grupos: (s.grupos || []).length
+    };
+  }
+
+  // de -> para: deltas por grupo, mudanças 🟢/🟡/🔴, entradas e saídas do efetivo
+  function compareSnapshots(de, para){
+    const diff = (a, b) => (Number.isFinite(a) && Number.isFinite(b)) ? b - a : NaN;
+    const num = (x) => (x == null) ? NaN : x;
+
+    const gDe = new Map((de.grupos || []).map(g => [g.name, g]));
+    const gPara = new Map((para.grupos || []).map(g => [g.name, g]));
+    const nomes = [...new Set([...gDe.keys(), ...gPara.keys()])].sort((a,b)=>a.localeCompare(b));
+
+    const grupos = nomes.map(name=>{
+      const a = gDe.get(name) || {};
+      const b = gPara.get(name) || {};
+      return {
+        name,
+        nDe: a.n ?? 0, nPara: b.n ?? 0,
+        pesoDe: num(a.pesoEst), pesoPara: num(b.pesoEst), dPeso: diff(num(a.pesoEst), num(b.pesoEst)),
+        gmdDe: num(a.gmd), gmdPara: num(b.gmd), dGmd: diff(num(a.gmd), num(b.gmd)),
+        riscoDe: num(a.risco), riscoPara: num(b.risco), dRisco: diff(num(a.risco), num(b.risco))
+      };
+    });
+
+    const rank = { r:1, o:2, g:3 };
+    const mudancas = [], entradas = [], saidas = [];
+    const aDe = de.animais || {}, aPara = para.animais || {};
+
+    for(const [id, [grupo, sexo, bucket]] of Object.entries(aPara)){
+      const antes = aDe[id];
+      if(!antes){
+        entradas.push({ animal:id, grupo, sexo });
+        continue;
+      }
+      const bAntes = antes[2];
+      if(rank[bAntes] && rank[bucket] && bAntes !== bucket){
+        mudancas.push({
+          animal: id, grupo, sexo,
+          de: bAntes, para: bucket,
+          deLabel: BUCKET_LABEL[bAntes], paraLabel: BUCKET_LABEL[bucket],
+          sentido: rank[bucket] > rank[bAntes] ? "melhorou" : "piorou"
+        });
+      }
+    }
+    for(const [id, [grupo, sexo]] of Object.entries(aDe)){
+      if(!aPara[id]) saidas.push({ animal:id, grupo, sexo });
+    }
+
+    const byGroup = (a,b)=>a.grupo.localeCompare(b.grupo) || a.animal.localeCompare(b.animal);
+    mudancas.sort((a,b)=>(a.sentido===b.sentido ? 0 : (a.sentido==="piorou" ? -1 : 1)) || byGroup(a,b));
+    entradas.sort(byGroup);
+    saidas.sort(byGroup);
+
+    return {
+      de: snapshotInfo(de),
+      para: snapshotInfo(para),
+      grupos,
+      mudancas,
+      entradas,
+      saidas
+    };
+  }
+
+  // evolução de um grupo ao longo dos snapshots guardados (mais antigo primeiro)
+  function groupHistory(hist, grupo){
+    return hist.snapshots
+      .slice()
+      .sort((a,b)=>Date.parse(a.generated_at) - Date.parse(b.generated_at))
+      .map(s=>{
+        const g = (s.grupos || []).find(x => x.name === grupo);
+        return g ? { generated_at: s.generated_at, ...g } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /* ===================== ALVOS (global -> grupo -> animal) ===================== */
+  // targets = { targetM, targetF, grupos: { g: { targetM?, targetF?, dataAlvo? } }, animais: { id: { target?, dataAlvo? } } }
+  function normalizeTargets(t){
+    const num = (x) => (Number.isFinite(x) && x > 0) ? x : undefined;
+    const date = (x) => parseDateFmt(x, "YMD") ? clean(x) : undefined;
+    const grupos = {}, animais = {};
+    for(const [g, v] of Object.entries(t?.grupos || {})){
+      const o = { targetM: num(v?.targetM), targetF: num(v?.targetF), dataAlvo: date(v?.dataAlvo) };
+      if(o.targetM || o.targetF || o.dataAlvo) grupos[g] = o;
+    }
+    for(const [a, v] of Object.entries(t?.animais || {})){
+      const o = { target: num(v?.target), dataAlvo: date(v?.dataAlvo) };
+      if(o.target || o.dataAlvo) animais[a] = o;
+    }
+    return {
+      targetM: num(t?.targetM) ?? 620,
+      targetF: num(t?.targetF) ?? 520,
+      grupos,
+      animais
+    };
+  }
+
+  // alvo de um grupo para um sexo (sem override do grupo usa o global)
+  function groupTarget(targets, grupo, sexo){
+    const t = targets || {};
+    const g = t.grupos?.[grupo] || {};
+    const isF = clean(sexo).toUpperCase() === "F";
+    const own = isF ? g.targetF : g.targetM;
+    const glob = isF ? t.targetF : t.targetM;
+    return {
+      alvo: Number.isFinite(own) ? own : (Number.isFinite(glob) ? glob : (isF ? 520 : 620)),
+      dataAlvo: g.dataAlvo || null,
+      fonte: Number.isFinite(own) ? "grupo" : "global"
+    };
+  }
+
+  // alvo de um animal: override do animal > grupo > global
+  function resolveTarget(targets, grupo, sexo, animal){
+    const base = groupTarget(targets, grupo, sexo);
+    const a = targets?.animais?.[animal];
+    if(!a) return base;
+    return {
+      alvo: Number.isFinite(a.target) ? a.target : base.alvo,
+      dataAlvo: a.dataAlvo || base.dataAlvo,
+      fonte: Number.isFinite(a.target) ? "animal" : base.fonte
+    };
+  }
+
+  /* ===================== ECONOMIA (custo de alimentação e preço de venda) ===================== */
+  // custo por cabeça/dia direto, ou consumo (kg ração/dia) × preço da ração (€/kg); venda em €/kg de peso vivo.
+  // Como nos alvos: os campos do grupo sobrepõem-se aos globais.
+  const ECO_FIELDS = ["custoDia", "consumoKg", "precoRacao", "precoVenda"];
+
+  function normalizeEconomics(e){
+    const one = (v) => {
+      const o = {};
+      for(const k of ECO_FIELDS) if(Number.isFinite(v?.[k]) && v[k] >= 0) o[k] = v[k];
+      return o;
+    };
+    const grupos = {};
+    for(const [g, v] of Object.entries(e?.grupos || {})){
+      const o = one(v);
+      if(Object.keys(o).length) grupos[g] = o;
+    }
+    return { ...one(e), grupos };
+  }
+
+  // custo/dia e preço efetivos de um grupo; null sem custo ou sem preço
+  function resolveEconomics(eco, grupo){
+    const g = eco?.grupos?.[grupo] || {};
+    const custo = (o) => Number.isFinite(o.custoDia) ? o.custoDia
+      : (Number.isFinite(o.consumoKg) && Number.isFinite(o.precoRacao)) ? o.consumoKg * o.precoRacao : NaN;
+    const custoG = custo(g);
+    const custoDia = Number.isFinite(custoG) ? custoG : custo(eco || {});
+    const precoVenda = Number.isFinite(g.precoVenda) ? g.precoVenda : eco?.precoVenda;
+    if(!Number.isFinite(custoDia) || !Number.isFinite(precoVenda)) return null;
+    return { custoDia, precoVenda, fonte: (Number.isFinite(custoG) || Number.isFinite(g.precoVenda)) ? "grupo" : "global" };
+  }
+
+  // margem por cabeça de cada semana a mais (€): valor do peso ganho − alimentação.
+  // A GMD desce com a idade (curva) ou, sem idade, com o fator de maturidade do peso.
+  function weeklyMargins(kg0, gmd0, idade0, sexo, curve, eco, semanas = 52){
+    if(!Number.isFinite(kg0) || !Number.isFinite(gmd0)) return [];
+    const g0 = Number.isFinite(idade0) ? curveGmd(sexo, idade0, curve) : NaN;
+    const out = [];
+    let kg = kg0;
+    for(let k=0;k<semanas;k++){
+      const gmd = (Number.isFinite(g0) && g0 > 0)
+        ? gmd0 * curveGmd(sexo, idade0 + 7*k + 3.5, curve) / g0
+        : gmd0 * factorMaturidade(kg, sexo) / factorMaturidade(kg0, sexo);
+      const ganho = Math.max(0, gmd) * 7;
+      out.push(eco.precoVenda * ganho - eco.custoDia * 7);
+      kg += ganho;
+    }
+    return out;
+  }
+
+  /* ===================== ARMAZENAMENTO (IndexedDB) ===================== */
+  // os dados vivem no IndexedDB; em memória fica uma cópia para as leituras síncronas das páginas.
+  // Core.ready() abre a BD, traz os dados antigos do localStorage e aplica as migrações.
+  const DB_NAME = "mdp_bovinos";
+  const DB_VERSION = 1;
+  const DB_STORE = "dados";
+
+  // chave no IndexedDB -> chave antiga no localStorage
+  const STORE_KEYS = {
+    state: STORAGE_KEY,
+    meteoCache: METEO_CACHE_KEY,
+    weighings: WEIGHINGS_KEY,
+    station: STATION_KEY,
+    history: HISTORY_KEY,
+    events: EVENTS_KEY,
+    treatments: TREATMENTS_KEY
+  };
+
+  const mem = {};
+  let backend = null;
+  let readyPromise = null;
+  const storageErrorListeners = new Set();
+
+  const clone = (x) => (x == null) ? x : structuredClone(x);
+
+  function idbRequest(req){
+    return new Promise((resolve, reject)=>{
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  function idbBackend(idb){
+    let dbPromise = null;
+    function open(){
+      const req = idb.open(DB_NAME, DB_VERSION);
+      // migrações do esquema da BD (uma por versão)
+      req.onupgradeneeded = (ev)=>{
+        const db = req.result;
+        if(ev.oldVersion < 1) db.createObjectStore(DB_STORE);
+      };
+      req.onblocked = () => {
+        reportStorageError(new Error("Base de dados bloqueada: fecha os outros separadores desta app."), "abrir");
+      };
+      return idbRequest(req);
+    }
+    const db = () => dbPromise || (dbPromise = open());
+
+    function tx(mode, fn){
+      return db().then(d => new Promise((resolve, reject)=>{
+        const t = d.transaction(DB_STORE, mode);
+        const req = fn(t.objectStore(DB_STORE));
+        t.oncomplete = () => resolve(req.result);
+        t.onerror = () => reject(t.error || req.error);
+        t.onabort = () => reject(t.error || new Error("Transação abortada."));
+      }));
+    }
+
+    return {
+      name: "indexeddb",
+      get: (k) => tx("readonly", st => st.get(k)),
+      put: (k, v) => tx("readwrite", st => st.put(v, k)),
+      del: (k) => tx("readwrite", st => st.delete(k)),
+      // várias chaves numa só transação: ou ficam todas gravadas ou nenhuma (null = apagar)
+      putMany: (entries) => tx("readwrite", st => {
+        let req;
+        for(const [k, v] of entries) req = (v == null) ? st.delete(k) : st.put(v, k);
+        return req;
+      })
+    };
+  }
+
+  // sem IndexedDB (browser antigo / modo privado restrito): mesmas chaves de sempre no localStorage
+  function localStorageBackend(ls){
+    return {
+      name: "localstorage",
+      get: async (k) => {
+        const raw = ls.getItem(STORE_KEYS[k]);
+        return raw ? JSON.parse(raw) : undefined;
+      },
+      put: async (k, v) => { ls.setItem(STORE_KEYS[k], JSON.stringify(v)); },
+      del: async (k) => { ls.removeItem(STORE_KEYS[k]); },
+      // sem transações: se uma chave falhar, repõe as que já tinham sido escritas
+      putMany: async (entries) => {
+        const before = entries.map(([k]) => [k, ls.getItem(STORE_KEYS[k])]);
+        try{
+          for(const [k, v] of entries){
+            if(v == null) ls.removeItem(STORE_KEYS[k]);
+            else ls.setItem(STORE_KEYS[k], JSON.stringify(v));
+          }
+        }catch(err){
+          for(const [k, raw] of before){
+            try{
+              if(raw == null) ls.removeItem(STORE_KEYS[k]);
+              else ls.setItem(STORE_KEYS[k], raw);
+            }catch{ /* sem espaço nem para repor */ }
+          }
+          throw err;
+        }
+      }
+    };
+  }
+
+  function storageError(err, what){
+    const quota = err?.name === "QuotaExceededError" || /quota/i.test(err?.message || "");
+    const e = new Error(quota
+      ? `Sem espaço no browser para gravar ${what}. Apaga snapshots antigos ou a cache meteo.`
+      : `Falha ao gravar ${what} no browser: ${err?.message || err}`);
+    e.code = "ARMAZENAMENTO";
+    e.quota = quota;
+    e.cause = err;
+    return e;
+  }
+
+  function reportStorageError(err){
+    for(const fn of storageErrorListeners){
+      try{ fn(err); }catch{ /* listener da UI */ }
+    }
+  }
+
+  // gravações chamadas de forma síncrona pela API: o erro segue para os listeners da UI
+  function track(p){
+    return p.catch(err => {
+      reportStorageError(err);
+      return false;
+    });
+  }
+
+  function readStore(key){
+    return clone(mem[key]);
+  }
+
+  function writeStore(key, value, what){
+    if(!backend) return Promise.reject(storageError(new Error("armazenamento não inicializado (falta Core.ready())"), what));
+    // se a gravação falhar, a cópia em memória volta ao que estava, mas só se entretanto
+    // não houve outra gravação (não desfaz uma escrita mais recente que correu bem)
+    const prev = mem[key];
+    const written = clone(value);
+    mem[key] = written;
+    return backend.put(key, written)
+      .then(() => true, err => {
+        if(mem[key] === written) mem[key] = prev;
+        throw storageError(err, what);
+      });
+  }
+
+  // grava (ou apaga, com null) várias chaves de uma vez; backends sem putMany gravam uma a uma
+  function writeStores(values, what){
+    if(!backend) return Promise.reject(storageError(new Error("armazenamento não inicializado (falta Core.ready())"), what));
+    const entries = Object.entries(values).map(([k, v]) => [k, v == null ? null : clone(v)]);
+    const prev = Object.fromEntries(entries.map(([k]) => [k, mem[k]]));
+    for(const [k, v] of entries){
+      if(v == null) delete mem[k];
+      else mem[k] = v;
+    }
+    const run = backend.putMany
+      ? backend.putMany(entries)
+      : entries.reduce((p, [k, v]) => p.then(() => (v == null) ? backend.del(k) : backend.put(k, v)), Promise.resolve());
+    return run.then(() => true, err => {
+      for(const [k, v] of entries){
+        if(mem[k] !== (v ?? undefined)) continue;
+        if(prev[k] === undefined) delete mem[k];
+        else mem[k] = prev[k];
+      }
+      throw storageError(err, what);
+    });
+  }
+
+  function deleteStore(key, what){
+    delete mem[key];
+    if(!backend) return Promise.resolve(true);
+    return backend.del(key)
+      .then(() => true, err => { throw storageError(err, what); });
+  }
+
+  // migrações do objeto de estado, a partir do formato version: 2 (localStorage)
+  const STATE_VERSION = 5;
+  const STATE_MIGRATIONS = {
+    // 2 -> 3: config completa com os defaults atuais e alvos no formato grupo/animal
+    2: (st) => {
+      st.config = { ...getEmptyState().config, ...(st.config || {}) };
+      st.targets = normalizeTargets(st.targets);
+      return st;
+    },
+    // 3 -> 4: efetivo guardado (para rever noutra data); reconstruído a partir da tabela de animais
+    3: (st) => {
+      if(!Array.isArray(st.efetivo)){
+        const hoje = st.todayUTC ? new Date(st.todayUTC) : null;
+        st.efetivo = (st.animalsOut || []).map(a => ({
+          animal: a.animal, sexo: a.sexo, grupo: a.grupo,
+          nasc: (hoje && Number.isFinite(a.idadeDias)) ? isoDateUTC(addDaysUTC(hoje, -a.idadeDias)) : null,
+          dAnt: null, pAnt: null, dAtual: null, pAtual: null
+        }));
+      }
+      return st;
+    },
+    // 4 -> 5: dias desde a última pesagem (regras de alerta) nos estados gravados antes de existir
+    4: (st) => {
+      const hoje = st.todayUTC ? new Date(st.todayUTC) : null;
+      for(const a of st.animalsOut || []){
+        if(a.diasDesdePesagem === undefined && hoje) a.diasDesdePesagem = daysSinceWeighing(a, hoje);
+      }
+      return st;
+    }
+  };
+
+  function migrateState(st){
+    if(!st || typeof st !== "object") return null;
+    if(!Number.isFinite(st.version)) st.version = 2;
+    while(st.version < STATE_VERSION){
+      const step = STATE_MIGRATIONS[st.version];
+      if(!step) throw new Error(`Estado guardado na versão ${st.version} sem migração disponível.`);
+      st = step(st);
+      st.version++;
+    }
+    return st;
+  }
+
+  // armazenamento só em memória (Node / testes): nada sobrevive ao processo
+  function memoryBackend(){
+    const m = new Map();
+    return {
+      name: "memoria",
+      get: async (k) => clone(m.get(k)),
+      put: async (k, v) => { m.set(k, clone(v)); },
+      del: async (k) => { m.delete(k); },
+      putMany: async (entries) => {
+        for(const [k, v] of entries){
+          if(v == null) m.delete(k);
+          else m.set(k, clone(v));
+        }
+      }
+    };
+  }
+
+  async function initStorage(opts = {}){
+    if(opts.fetch) fetchImpl = opts.fetch;
+    if(opts.auth) authImpl = opts.auth;
+
+    const idb = (typeof indexedDB !== "undefined") ? indexedDB : null;
+    const ls = (typeof localStorage !== "undefined") ? localStorage : null;
+    backend = opts.backend
+      || (idb ? idbBackend(idb) : (ls ? localStorageBackend(ls) : null));
+    if(!backend) throw new Error("Sem armazenamento: em Node passa Core.ready({ backend }).");
+
+    // primeira vez com IndexedDB: traz os dados guardados no localStorage
+    const migrated = [];
+    for(const [key, oldKey] of Object.entries(STORE_KEYS)){
+      let v;
+      try{
+        v = await backend.get(key);
+      }catch(err){
+        throw storageError(err, "(leitura inicial)");
+      }
+      if(v === undefined && backend.name === "indexeddb" && ls){
+        const raw = ls.getItem(oldKey);
+        if(raw){
+          try{ v = JSON.parse(raw); }catch{ v = undefined; }
+          if(v !== undefined){
+            mem[key] = v;
+            await writeStore(key, v, `os dados antigos (${oldKey})`);
+            migrated.push(oldKey);
+          }
+        }
+      }
+      mem[key] = v;
+    }
+    for(const k of migrated) ls.removeItem(k);
+
+    const before = mem.state?.version;
+    mem.state = migrateState(mem.state);
+    if(mem.state && mem.state.version !== before) await writeStore("state", mem.state, "o estado");
+
+    return { backend: backend.name, migrated };
+  }
+
+  /* ===================== STATE (IndexedDB) ===================== */
+  function getEmptyState(){
+    return {
+      version: STATE_VERSION,
+      generated_at: null,
+      config: {
+        SITE: { ...DEFAULTS.SITE },
+        CONSERVATIVE_FALLBACK_GMD: DEFAULTS.CONSERVATIVE_FALLBACK_GMD,
+        GROWTH_CURVE: DEFAULTS.GROWTH_CURVE,
+        METEO: { ...DEFAULTS.METEO },
+        CLIMATE: { ...DEFAULTS.CLIMATE },
+        HISTORY: { ...DEFAULTS.HISTORY },
+        MAPPING_PROFILES: []
+      },
+      meta: {
+        delimiter: ";",
+        lines: 0,
+        processed_ok: 0,
+        processed_fail: 0
+      },
+      todayUTC: null,
+
+      // outputs
+      animalsOut: [],
+      groupsOut: [],
+      groupAgg: {},
+      gmdEstimativaGrupo: {},
+      gmdMediaGrupo: {},
+
+      // alvos (globais + por grupo + por animal), guardados entre importações
+      targets: { targetM: 620, targetF: 520, grupos: {}, animais: {} }
+    };
+  }
+
+  function loadState(){
+    const st = readStore("state");
+    return (st && typeof st === "object") ? st : null;
+  }
+
+  function saveState(state){
+    return writeStore("state", state, "o estado");
+  }
+
+  // o histórico de pesagens é a origem do estado: limpar um limpa o outro
+  function clearState(){
+    return Promise.all([
+      deleteStore("state", "o estado"),
+      deleteStore("weighings", "o histórico de pesagens"),
+      deleteStore("history", "o histórico de snapshots"),
+      deleteStore("events", "os movimentos do efetivo"),
+      deleteStore("treatments", "os registos sanitários")
+    ]);
+  }
+
+  function ensureState(){
+    return loadState() || getEmptyState();
+  }
+
+  /* ===================== DATA DE REFERÊNCIA (ver o efetivo noutra data) ===================== */
+  // escolhida por sessão do browser e partilhada pelas páginas; null = última importação
+  const ASOF_KEY = "mdp_bovinos_data_ref_v1";
+  let asOfMem = null;
+  let asOfView = null; // { key, st } — recalcular só quando muda a data ou os dados
+
+  function getAsOf(){
+    try{
+      if(typeof sessionStorage !== "undefined") return sessionStorage.getItem(ASOF_KEY) || null;
+    }catch{ /* sessionStorage bloqueado */ }
+    return asOfMem;
+  }
+
+  function setAsOf(asOf){
+    const iso = (asOf == null || asOf === "") ? null : isoDateUTC(dayUTC(asOf));
+    asOfMem = iso;
+    try{
+      if(typeof sessionStorage !== "undefined"){
+        if(iso) sessionStorage.setItem(ASOF_KEY, iso);
+        else sessionStorage.removeItem(ASOF_KEY);
+      }
+    }catch{ /* fica só em memória */ }
+    return iso;
+  }
+
+  // o estado guardado, recalculado para outra data com o efetivo e as pesagens atuais
+  async function stateAsOf(asOf){
+    const prev = loadState();
+    if(!prev || asOf == null || asOf === "") return prev;
+
+    const iso = isoDateUTC(dayUTC(asOf));
+    const key = `${iso}|${prev.generated_at}|${loadWeighings().updated_at}|${loadEvents().updated_at}|${loadTreatments().updated_at}`;
+    if(asOfView?.key !== key){
+      const st = await processEfetivo(prev.efetivo || [], { ...reprocessOptions(prev), asOf: iso });
+      st.meta = { ...prev.meta, ...st.meta };
+      asOfView = { key, st };
+    }
+    // alvos e definições seguem sempre o estado atual
+    return carryOverSettings(prev, asOfView.st);
+  }
+
+  // o que processEfetivo precisa para recalcular o estado guardado
+  function reprocessOptions(prev){
+    return {
+      SITE: prev.config?.SITE,
+      CONSERVATIVE_FALLBACK_GMD: prev.config?.CONSERVATIVE_FALLBACK_GMD,
+      GROWTH_CURVE: prev.config?.GROWTH_CURVE,
+      METEO: prev.config?.METEO,
+      CLIMATE: prev.config?.CLIMATE,
+      OUTLIERS: prev.config?.OUTLIERS,
+      PERFORMANCE: prev.config?.PERFORMANCE,
+      UNCERTAINTY: prev.config?.UNCERTAINTY,
+      HEALTH: prev.config?.HEALTH,
+      station: loadStation(),
+      weighings: loadWeighings(),
+      events: loadEvents(),
+      treatments: loadTreatments()
+    };
+  }
+
+  // depois de um movimento ou registo sanitário: o estado guardado volta a ser calculado na mesma data de referência.
+  // changes = partes ainda por gravar (ex.: { events }): entram no cálculo e são gravadas junto com o estado
+  async function rebuildState(changes = {}){
+    const prev = loadState();
+    if(!prev?.efetivo){
+      if(Object.keys(changes).length) await writeStores(changes, "os dados");
+      return prev;
+    }
+    const iso = prev.todayUTC ? isoDateUTC(new Date(prev.todayUTC)) : null;
+    const st = await processEfetivo(prev.efetivo, { ...reprocessOptions(prev), ...changes, asOf: iso });
+    st.meta = { ...prev.meta, ...st.meta, asOf: prev.meta?.asOf ?? null };
+    st.generated_at = prev.generated_at;
+    st.config.MAPPING_PROFILES = prev.config?.MAPPING_PROFILES || [];
+    carryOverSettings(prev, st);
+    pruneAlertStates(st);
+    await writeStores({ state: st, ...changes }, "o estado");
+    return st;
+  }
+
+  // definições do utilizador que sobrevivem a uma nova importação
+  function carryOverSettings(prev, st){
+    if(!prev) return st;
+    st.config.MAPPING_PROFILES = prev.config?.MAPPING_PROFILES || [];
+    if(prev.config?.METEO) st.config.METEO = { ...DEFAULTS.METEO, ...prev.config.METEO };
+    if(prev.config?.CLIMATE) st.config.CLIMATE = { ...DEFAULTS.CLIMATE, ...prev.config.CLIMATE };
+    if(prev.config?.HISTORY) st.config.HISTORY = { ...DEFAULTS.HISTORY, ...prev.config.HISTORY };
+    if(prev.config?.OUTLIERS) st.config.OUTLIERS = { ...DEFAULTS.OUTLIERS, ...prev.config.OUTLIERS };
+    if(prev.config?.PERFORMANCE) st.config.PERFORMANCE = { ...DEFAULTS.PERFORMANCE, ...prev.config.PERFORMANCE };
+    if(prev.config?.ALERT_RULES) st.config.ALERT_RULES = prev.config.ALERT_RULES;
+    if(prev.config?.WEIGH_PLAN) st.config.WEIGH_PLAN = { ...DEFAULTS.WEIGH_PLAN, ...prev.config.WEIGH_PLAN };
+    if(prev.alertasEstado) st.alertasEstado = prev.alertasEstado;
+    if(prev.targets) st.targets = normalizeTargets(prev.targets);
+    if(prev.economia) st.economia = normalizeEconomics(prev.economia);
+    if(prev.lotes) st.lotes = prev.lotes;
+    if(prev.config?.LOTS) st.config.LOTS = { ...DEFAULTS.LOTS, ...prev.config.LOTS };
+    if(prev.config?.HEALTH) st.config.HEALTH = { ...DEFAULTS.HEALTH, ...prev.config.HEALTH };
+    return st;
+  }
+
+  /* ===================== CÓPIA DE SEGURANÇA (ficheiro JSON) ===================== */
+  // { formato, versao, criado_em, state_version, dados: { state, weighings, meteoCache, station, history, events, treatments }, checksum }
+  // o checksum (SHA-256) é calculado sobre JSON.stringify(dados), tal como fica no ficheiro
+  const BACKUP_FORMAT = "mdp_bovinos_backup";
+  const BACKUP_VERSION = 1;
+  const BACKUP_PARTS = ["state", "weighings", "meteoCache", "station", "history", "events", "treatments"];
+
+  async function sha256Hex(text){
+    if(!globalThis.crypto?.subtle) throw new Error("Este browser não suporta Web Crypto (necessário para o checksum).");
+    const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(buf), b => b.toString(16).padStart(2, "0")).join("");
+  }
+
+  // contagens por parte, para mostrar o que vai ser substituído
+  function backupSummary(d){
+    const st = d?.state;
+    const led = d?.weighings?.animals || {};
+    const t = st?.targets || {};
+    return {
+      estado: st?.generated_at || null,
+      animais: st?.animalsOut?.length || 0,
+      grupos: st?.groupsOut?.length || 0,
+      pesagensAnimais: Object.keys(led).length,
+      pesagens: Object.values(led).reduce((n, l) => n + (l?.length || 0), 0),
+      meteoCache: Object.keys(d?.meteoCache || {}).length,
+      estacaoDias: Object.keys(d?.station?.days || {}).length,
+      snapshots: d?.history?.snapshots?.length || 0,
+      movimentos: d?.events?.eventos?.length || 0,
+      tratamentos: d?.treatments?.registos?.length || 0,
+      alvosGrupo: Object.keys(t.grupos || {}).length,
+      alvosAnimal: Object.keys(t.animais || {}).length,
+      perfisColunas: st?.config?.MAPPING_PROFILES?.length || 0
+    };
+  }
+
+  function currentBackupData(){
+    const d = {};
+    for(const k of BACKUP_PARTS) d[k] = readStore(k) ?? null;
+    return d;
+  }
+
+  async function buildBackup(){
+    const dados = currentBackupData();
+    const json = JSON.stringify(dados);
+    return {
+      formato: BACKUP_FORMAT,
+      versao: BACKUP_VERSION,
+      criado_em: new Date().toISOString(),
+      state_version: dados.state?.version ?? STATE_VERSION,
+      dados: JSON.parse(json),
+      checksum: `sha256:${await sha256Hex(json)}`
+    };
+  }
+
+  // estrutura de cada parte da cópia, antes de gravar ou juntar seja o que for;
+  // movimentos e registos sanitários passam pelas mesmas regras que os introduzidos à mão
+  function validateBackupData(dados){
+    const isObj = (x) => x != null && typeof x === "object" && !Array.isArray(x);
+    const fail = (parte, msg) => { throw new Error(`Cópia inválida (parte "${parte}"): ${msg}`); };
+    const each = (parte, list, fn) => list.forEach((x, i) => {
+      try{ fn(x); }catch(err){ fail(parte, `registo ${i + 1}: ${err.message}`); }
+    });
+
+    const st = dados.state;
+    if(st != null){
+      if(!isObj(st)) fail("state", "não é um objeto.");
+      for(const k of ["animalsOut", "groupsOut", "efetivo", "lotes"]){
+        if(st[k] != null && !Array.isArray(st[k])) fail("state", `${k} não é uma lista.`);
+      }
+      if(st.config != null && !isObj(st.config)) fail("state", "config não é um objeto.");
+      each("state", st.animalsOut || [], (a) => { if(!isObj(a)) throw new Error("animal que não é um objeto."); });
+    }
+
+    const w = dados.weighings;
+    if(w != null){
+      if(!isObj(w) || !isObj(w.animals)) fail("weighings", "falta a lista de animais.");
+      for(const [animal, list] of Object.entries(w.animals)){
+        if(!Array.isArray(list)) fail("weighings", `pesagens de ${animal} não são uma lista.`);
+        each("weighings", list, (x) => {
+          if(!parseDateFmt(x?.date, "YMD") || !Number.isFinite(x?.kg)) throw new Error(`pesagem inválida de ${animal}.`);
+        });
+      }
+    }
+
+    if(dados.meteoCache != null && !isObj(dados.meteoCache)) fail("meteoCache", "não é um objeto.");
+
+    const stn = dados.station;
+    if(stn != null && (!isObj(stn) || !isObj(stn.days))) fail("station", "faltam as leituras diárias.");
+
+    const h = dados.history;
+    if(h != null){
+      if(!isObj(h) || !Array.isArray(h.snapshots)) fail("history", "falta a lista de snapshots.");
+      each("history", h.snapshots, (x) => { if(!isObj(x) || !x.id) throw new Error("snapshot sem id."); });
+    }
+
+    const ev = dados.events;
+    if(ev != null){
+      if(!isObj(ev) || !Array.isArray(ev.eventos)) fail("events", "falta a lista de movimentos.");
+      if(ev.animais != null && !isObj(ev.animais)) fail("events", "o registo de animais não é um objeto.");
+      each("events", ev.eventos, (e) => {
+        if(!isObj(e) || !e.id) throw new Error("movimento sem id.");
+        normalizeEvent(e);
+      });
+    }
+
+    const tr = dados.treatments;
+    if(tr != null){
+      if(!isObj(tr) || !Array.isArray(tr.registos)) fail("treatments", "falta a lista de registos.");
+      each("treatments", tr.registos, (t) => {
+        if(!isObj(t) || !t.id) throw new Error("registo sem id.");
+        normalizeTreatment(t);
+      });
+    }
+  }
+
+  // valida formato, versão, checksum e estrutura; devolve os dados já migrados para a versão atual
+  async function readBackup(text){
+    let b;
+    try{
+      b = JSON.parse(String(text ?? ""));
+    }catch{
+      throw new Error("O ficheiro não é um JSON válido.");
+    }
+    if(b?.formato !== BACKUP_FORMAT || !b.dados || typeof b.dados !== "object"){
+      throw new Error("O ficheiro não é uma cópia de segurança desta app.");
+    }
+    if(!Number.isInteger(b.versao) || b.versao > BACKUP_VERSION){
+      throw new Error(`Cópia na versão ${b.versao}, mais recente do que esta app suporta (${BACKUP_VERSION}).`);
+    }
+    if(Number.isFinite(b.state_version) && b.state_version > STATE_VERSION){
+      throw new Error(`Estado na versão ${b.state_version}, mais recente do que esta app suporta (${STATE_VERSION}).`);
+    }
+    const expected = `sha256:${await sha256Hex(JSON.stringify(b.dados))}`;
+    if(b.checksum !== expected){
+      throw new Error("Checksum não confere: o ficheiro está incompleto ou foi alterado.");
+    }
+
+    const dados = {};
+    for(const k of BACKUP_PARTS) dados[k] = b.dados[k] ?? null;
+    validateBackupData(dados);
+    if(dados.state) dados.state = migrateState(dados.state);
+    return { criado_em: b.criado_em, versao: b.versao, dados };
+  }
+
+  // juntar: o que já existe aqui ganha nos conflitos; a cópia só acrescenta o que falta
+  function mergeBackupData(cur, inc){
+    const out = { ...cur };
+
+    if(inc.weighings){
+      const led = cur.weighings ? clone(cur.weighings) : getEmptyWeighings();
+      for(const [animal, list] of Object.entries(inc.weighings.animals || {})){
+        const have = (led.animals[animal] ||= []);
+        for(const w of list || []){
+          if(!have.some(x => x.date === w.date)) have.push({ date: w.date, kg: w.kg });
+        }
+        have.sort((a,b)=>a.date.localeCompare(b.date));
+      }
+      out.weighings = led;
+    }
+
+    if(inc.meteoCache) out.meteoCache = { ...inc.meteoCache, ...(cur.meteoCache || {}) };
+
+    if(inc.station){
+      const stn = cur.station ? clone(cur.station) : getEmptyStation();
+      stn.days = { ...(inc.station.days || {}), ...stn.days };
+      out.station = stn;
+    }
+
+    if(inc.events){
+      const led = cur.events ? clone(cur.events) : getEmptyEvents();
+      const ids = new Set(led.eventos.map(e => e.id));
+      for(const e of inc.events.eventos || []) if(!ids.has(e.id)) led.eventos.push(e);
+      led.animais = { ...(inc.events.animais || {}), ...led.animais };
+      led.updated_at = new Date().toISOString();
+      out.events = led;
+    }
+
+    if(inc.treatments){
+      const led = cur.treatments ? clone(cur.treatments) : getEmptyTreatments();
+      const ids = new Set(led.registos.map(t => t.id));
+      for(const t of inc.treatments.registos || []) if(!ids.has(t.id)) led.registos.push(t);
+      led.updated_at = new Date().toISOString();
+      out.treatments = led;
+    }
+
+    if(inc.history){
+      const hist = cur.history ? clone(cur.history) : getEmptyHistory();
+      const ids = new Set(hist.snapshots.map(x => x.id));
+      for(const snap of inc.history.snapshots || []) if(!ids.has(snap.id)) hist.snapshots.push(snap);
+      out.history = applyRetention(hist, (cur.state || inc.state)?.config?.HISTORY);
+    }
+
+    if(inc.state){
+      if(!cur.state){
+        out.state = inc.state;
+      }else{
+        // resultados: fica o estado mais recente; configuração e alvos: os atuais + o que falta
+        const newer = Date.parse(inc.state.generated_at) > Date.parse(cur.state.generated_at);
+        const st = clone(newer ? inc.state : cur.state);
+        st.config = clone(cur.state.config);
+        const profiles = st.config.MAPPING_PROFILES || [];
+        for(const p of inc.state.config?.MAPPING_PROFILES || []){
+          if(!profiles.some(x => x.id === p.id)) profiles.push(p);
+        }
+        st.config.MAPPING_PROFILES = profiles;
+        const tc = normalizeTargets(cur.state.targets), ti = normalizeTargets(inc.state.targets);
+        st.targets = {
+          ...tc,
+          grupos: { ...ti.grupos, ...tc.grupos },
+          animais: { ...ti.animais, ...tc.animais }
+        };
+        out.state = st;
+      }
+    }
+
+    return out;
+  }
+
+  const DATE_FORMAT_LABEL = { DMY: "DD-MM-AAAA", MDY: "MM-DD-AAAA", YMD: "AAAA/MM/DD" };
+
+  /* ===================== FOLHAS DE CÁLCULO (.xlsx / .xlsm / .xls / .ods via SheetJS) ===================== */
+  function getSheetJS(){
+    if(typeof XLSX === "undefined" || !XLSX?.read){
+      throw new Error("Leitor de folhas de cálculo (SheetJS) não carregado.");
+    }
+    return XLSX;
+  }
+
+  function readWorkbook(data){
+    return getSheetJS().read(data, { type: "array", cellNF: true });
+  }
+
+  function listSheets(data){
+    return readWorkbook(data).SheetNames.slice();
+  }
+
+  // datas das folhas passam a AAAA-MM-DD (não dependem do formato regional da célula);
+  // células numéricas ficam número (não passam pela heurística dos milhares do texto escrito)
+  function sheetCellValue(X, cell){
+    if(!cell || cell.v == null) return "";
+    if(cell.t === "d" && cell.v instanceof Date){
+      return isoDateUTC(new Date(Date.UTC(cell.v.getFullYear(), cell.v.getMonth(), cell.v.getDate())));
+    }
+    if(cell.t === "n" && cell.z && X.SSF.is_date(cell.z)){
+      const p = X.SSF.parse_date_code(cell.v);
+      if(p) return `${p.y}-${String(p.m).padStart(2,"0")}-${String(p.d).padStart(2,"0")}`;
+    }
+    if(cell.t === "n" && Number.isFinite(cell.v)) return cell.v;
+    return String(cell.v);
+  }
+
+  function sheetToRows(wb, sheetName){
+    const X = getSheetJS();
+    const name = sheetName ?? wb.SheetNames[0];
+    const ws = wb.Sheets[name];
+    if(!ws) throw new Error(`Folha "${name}" não existe no ficheiro.`);
+    if(!ws["!ref"]) return [];
+
+    const range = X.utils.decode_range(ws["!ref"]);
+    const rows = [];
+    for(let r=range.s.r; r<=range.e.r; r++){
+      const row = [];
+      for(let c=range.s.c; c<=range.e.c; c++){
+        row.push(sheetCellValue(X, ws[X.utils.encode_cell({ r, c })]));
+      }
+      rows.push(row);
+    }
+    return rows;
+  }
+
+  // número da folha escrito com o separador decimal do perfil e sem separador de milhares
+  function sheetNumberText(v, decimal){
+    const t = String(v);
+    return decimal === "," ? t.replace(".", ",") : t;
+  }
+
+  function toCSVField(v, delim){
+    v = String(v ?? "");
+    return (v.includes(delim) || /["\r\n]/.test(v)) ? `"${v.replace(/"/g, "\"\"")}"` : v;
+  }
+  function rowsToCSVText(rows, delim = ";"){
+    return rows.map(r => r.map(v => toCSVField(v, delim)).join(delim)).join("\r\n");
+  }
+
+  // a folha vira CSV e segue exatamente o mesmo caminho (validação + processamento);
+  // opts.profile / opts.profiles: o perfil que vai ler o CSV, para os números saírem no seu formato
+  function spreadsheetToCSVText(data, sheetName, opts = {}){
+    const rows = sheetToRows(readWorkbook(data), sheetName);
+    if(!rows.length) return "";
+    const { profile } = pickMappingProfile(rows[0].map(clean), opts);
+    return rowsToCSVText(rows.map(r => r.map(v => typeof v === "number" ? sheetNumberText(v, profile.decimal) : v)));
+  }
+
+  function isSpreadsheetFile(name){
+    return /\.(xlsx|xlsm|xls|ods)$/i.test(clean(name));
+  }
+
+  /* ===================== VALIDAÇÃO DO CSV (relatório antes de importar) ===================== */
+  function validateCSVText(csvText, opts = {}){
+    const lim = { ...DEFAULTS.VALIDATION, ...(opts.VALIDATION || {}) };
+    const { delim, header, lines, unterminatedQuoteLine } = readCSVLines(csvText);
+    const { profile, auto } = pickMappingProfile(header, opts);
+    const { idx, missing } = resolveColumns(header, profile);
+    const parseDate = (v) => parseDateFmt(v, profile.formatoData);
+    const parseNum = (v) => parseNumberDec(v, profile.decimal);
+
+    const issues = [];
+    const add = (line, column, value, reason, level = "erro") => {
+      issues.push({ line, column, value: clean(value), reason, level });
+    };
+
+    if(unterminatedQuoteLine){
+      add(unterminatedQuoteLine, "—", "\"", "Aspas abertas sem fecho: o resto do ficheiro foi lido como um só campo.");
+    }
+
+    if(!lines.length) add(1, "—", "", "CSV vazio ou sem linhas de dados.");
+    for(const name of missing){
+      const c = CSV_COLUMNS.find(x => (profile.colunas[x.key] || x.name) === name);
+      if(profile.builtin) add(1, name, header[c.pos] ?? "", `Coluna em falta no cabeçalho (a usar a posição ${c.pos+1}).`);
+      else add(1, name, "", `Coluna em falta no cabeçalho (perfil "${profile.nome}").`);
+    }
+
+    const seen = new Map(); // animal_id -> linha
+    const checkDate = (l, cols, key, name) => {
+      const raw = clean(cols[idx[key]]);
+      if(!raw) return null;
+      const d = parseDate(raw);
+      if(!d) add(l, name, raw, `Data inválida (formato ${DATE_FORMAT_LABEL[profile.formatoData]} ou AAAA-MM-DD).`);
+      return d;
+    };
+    const checkWeight = (l, cols, key, name) => {
+      const raw = clean(cols[idx[key]]);
+      if(!raw) return NaN;
+      const n = parseNum(raw);
+      if(!Number.isFinite(n)) add(l, name, raw, "Peso não numérico.");
+      else if(n < lim.PESO_MIN || n > lim.PESO_MAX) add(l, name, raw, `Peso fora do intervalo plausível (${lim.PESO_MIN}–${lim.PESO_MAX} kg).`);
+      return n;
+    };
+
+    let rowsWithErrors = 0;
+    for(const { line: l, cols } of lines){
+      const before = issues.filter(i=>i.level==="erro").length;
+
+      const animal = clean(cols[idx.animal]);
+      if(!animal) add(l, "animal_id", "", "Identificação do animal em falta.");
+      else if(seen.has(animal)) add(l, "animal_id", animal, `animal_id repetido (já na linha ${seen.get(animal)}).`);
+      else seen.set(animal, l);
+
+      const sexo = clean(cols[idx.sexo]).toUpperCase();
+      if(!lim.SEXOS.includes(sexo)) add(l, "sexo", cols[idx.sexo], `Código de sexo desconhecido (esperado ${lim.SEXOS.join("/")}).`);
+
+      checkDate(l, cols, "nasc", "data_nasc");
+      const dAnt = checkDate(l, cols, "dAnt", "data_peso_anterior");
+      const pAnt = checkWeight(l, cols, "pAnt", "peso_anterior");
+      const dAtual = checkDate(l, cols, "dAtual", "data_peso_atual");
+      const pAtual = checkWeight(l, cols, "pAtual", "peso_atual");
+
+      if(dAnt && dAtual && dAnt > dAtual){
+        add(l, "data_peso_anterior", cols[idx.dAnt], `Data anterior depois da data atual (${fmtDate(dAtual)}).`);
+      }
+      if(Number.isFinite(pAnt) && Number.isFinite(pAtual) && pAtual < pAnt){
+        const pct = (pAnt - pAtual) / pAnt * 100;
+        if(pct <= lim.PERDA_MAX_PCT){
+          add(l, "peso_atual", cols[idx.pAtual], `Perda de ${(pAnt - pAtual).toFixed(1)} kg desde a pesagem anterior (${pct.toFixed(1)}%, dentro da tolerância de ${lim.PERDA_MAX_PCT}%).`, "aviso");
+        }else{
+          add(l, "peso_atual", cols[idx.pAtual], `Perda de ${(pAnt - pAtual).toFixed(1)} kg desde a pesagem anterior (${pct.toFixed(1)}%, acima da tolerância de ${lim.PERDA_MAX_PCT}%): provável erro de registo.`);
+        }
+      }
+      if(!dAtual || !Number.isFinite(pAtual)){
+        add(l, "peso_atual", cols[idx.pAtual], "Sem pesagem atual: animal fica sem peso estimado.", "aviso");
+      }
+
+      if(issues.filter(i=>i.level==="erro").length > before) rowsWithErrors++;
+    }
+
+    const errors = issues.filter(i=>i.level==="erro").length;
+    return {
+      ok: errors === 0,
+      profile: { id: profile.id, nome: profile.nome, auto },
+      delimiter: delim,
+      lines: lines.length,
+      rows_with_errors: rowsWithErrors,
+      errors,
+      warnings: issues.length - errors,
+      missingColumns: missing,
+      issues
+    };
+  }
+
+  /* ===================== CSV PROCESS (igual à base estável, mas “headless”) ===================== */
+  // lê o CSV para o efetivo (uma entrada por linha) e junta as pesagens ao histórico;
+  // o cálculo segue em processEfetivo, que também serve para rever o efetivo noutra data
+  async function processCSVText(csvText, opts = {}){
+    const onProgress = (typeof opts.onProgress === "function") ? opts.onProgress : null;
+
+    // histórico de pesagens: é atualizado aqui (quem chama decide se grava)
+    const ledger = opts.weighings || getEmptyWeighings();
+
+    const { delim, header, lines } = readCSVLines(csvText);
+    const { profile, auto: profileAuto } = pickMappingProfile(header, opts);
+    const parseDate = (v) => parseDateFmt(v, profile.formatoData);
+    const parseNum = (v) => parseNumberDec(v, profile.decimal);
+
+    if(!lines.length){
+      throw new Error("CSV vazio ou inválido.");
+    }
+
+    const { idx } = resolveColumns(header, profile);
+
+    const i_animal = idx.animal;
+    const i_nasc   = idx.nasc;
+    const i_sexo   = idx.sexo;
+    const i_grupo  = idx.grupo;
+    const i_dant   = idx.dAnt;
+    const i_pant   = idx.pAnt;
+    const i_datual = idx.dAtual;
+    const i_patual = idx.pAtual;
+    const i_raca   = idx.raca;
+
+    if(onProgress) onProgress({ phase:"parse", message:`A ler dados…`, done:0, total:lines.length });
+
+    const iso = (d) => d ? isoDateUTC(d) : null;
+    const efetivo = [];
+    let newWeighings = 0;
+
+    for(let li=0; li<lines.length; li++){
+      const cols = lines[li].cols;
+
+      const animal = clean(cols[i_animal]) || "—";
+      const dAnt   = parseDate(cols[i_dant]);
+      const pAnt   = parseNum(cols[i_pant]);
+      const dAtual = parseDate(cols[i_datual]);
+      const pAtual = parseNum(cols[i_patual]);
+
+      if(addWeighing(ledger, animal, dAnt, pAnt)) newWeighings++;
+      if(addWeighing(ledger, animal, dAtual, pAtual)) newWeighings++;
+
+      efetivo.push({
+        animal,
+        sexo: clean(cols[i_sexo]).toUpperCase() || "—",
+        grupo: clean(cols[i_grupo]) || "—",
+        nasc: iso(parseDate(cols[i_nasc])),
+        raca: clean(cols[i_raca]) || null,
+        dAnt: iso(dAnt), pAnt: Number.isFinite(pAnt) ? pAnt : null,
+        dAtual: iso(dAtual), pAtual: Number.isFinite(pAtual) ? pAtual : null
+      });
+
+      if(onProgress && li % 200 === 0){
+        onProgress({ phase:"parse", message:`A ler dados…`, done:li, total:lines.length });
+      }
+    }
+
+    // movimentos: só quando quem chama os passa (é quem decide se grava)
+    const transferencias = opts.events ? syncEventRegistry(opts.events, efetivo, isoDateUTC(dayUTC(opts.asOf))) : 0;
+
+    const st = await processEfetivo(efetivo, { ...opts, weighings: ledger });
+    st.meta.delimiter = delim;
+    st.meta.transferencias_detetadas = transferencias;
+    st.meta.profile = { id: profile.id, nome: profile.nome, auto: profileAuto };
+    st.meta.new_weighings = newWeighings;
+    ledger.updated_at = st.generated_at;
+    return st;
+  }
+
+  // efetivo + histórico de pesagens -> estado, tal como estava em opts.asOf (omissão: hoje).
+  // Só contam pesagens até essa data; animais nascidos depois ficam de fora. Uma data futura
+  // projeta os pesos (planear contra uma data de venda).
+  async function processEfetivo(efetivo, opts = {}){
+    const cfg = {
+      SITE: opts.SITE || DEFAULTS.SITE,
+      CONSERVATIVE_FALLBACK_GMD: Number.isFinite(opts.CONSERVATIVE_FALLBACK_GMD) ? opts.CONSERVATIVE_FALLBACK_GMD : DEFAULTS.CONSERVATIVE_FALLBACK_GMD,
+      METEO_TIMEOUT_MS: Number.isFinite(opts.METEO_TIMEOUT_MS) ? opts.METEO_TIMEOUT_MS : DEFAULTS.METEO_TIMEOUT_MS,
+      METEO_CONCURRENCY: Number.isFinite(opts.METEO_CONCURRENCY) ? opts.METEO_CONCURRENCY : DEFAULTS.METEO_CONCURRENCY,
+      METEO: { ...DEFAULTS.METEO, ...(opts.METEO || {}) },
+      CLIMATE: { ...DEFAULTS.CLIMATE, ...(opts.CLIMATE || {}) },
+      GROWTH_CURVE: opts.GROWTH_CURVE || DEFAULTS.GROWTH_CURVE,
+      PERFORMANCE: { ...DEFAULTS.PERFORMANCE, ...(opts.PERFORMANCE || {}) },
+      OUTLIERS: { ...DEFAULTS.OUTLIERS, ...(opts.OUTLIERS || {}) },
+      UNCERTAINTY: { ...DEFAULTS.UNCERTAINTY, ...(opts.UNCERTAINTY || {}) },
+      HEALTH: { ...DEFAULTS.HEALTH, ...(opts.HEALTH || {}) }
+    };
+
+    const onProgress = (typeof opts.onProgress === "function") ? opts.onProgress : null;
+    const ledger = opts.weighings || getEmptyWeighings();
+
+    const st = getEmptyState();
+    st.config.SITE = { ...cfg.SITE };
+    st.config.CONSERVATIVE_FALLBACK_GMD = cfg.CONSERVATIVE_FALLBACK_GMD;
+    st.config.GROWTH_CURVE = cfg.GROWTH_CURVE;
+    st.config.METEO = cfg.METEO;
+    st.config.CLIMATE = cfg.CLIMATE;
+    st.config.UNCERTAINTY = cfg.UNCERTAINTY;
+    st.config.OUTLIERS = cfg.OUTLIERS;
+    st.config.PERFORMANCE = cfg.PERFORMANCE;
+    st.config.HEALTH = cfg.HEALTH;
+    st.efetivo = efetivo;
+    st.meta.lines = efetivo.length;
+
+    const todayUTC = dayUTC(opts.asOf);
+    const todayISO = isoDateUTC(todayUTC);
+    st.todayUTC = todayUTC.toISOString();
+    st.meta.asOf = (opts.asOf == null || opts.asOf === "") ? null : todayISO;
+
+    // pesagens do CSV posteriores à data de referência não existiam nessa data
+    const upTo = (isoDate) => (isoDate && isoDate <= todayISO) ? parseDatePT(isoDate) : null;
+
+    // com movimentos: quem estava no efetivo nessa data e em que grupo
+    let herd = efetivo;
+    if(opts.events){
+      const h = herdAsOf(efetivo, opts.events, todayISO);
+      herd = h.herd;
+      st.meta.saidos = h.saidos;
+      st.meta.por_entrar = h.porEntrar;
+      st.meta.sem_saida = h.semSaida;
+    }
+
+    const rows = [];
+    const periodKeys = new Set();
+    let bornAfter = 0;
+
+    for(const e of herd){
+      const { animal, sexo, grupo } = e;
+      const raca = e.raca || racaDoGrupo(grupo);
+      const dNasc = e.nasc ? parseDatePT(e.nasc) : null;
+      if(dNasc && dNasc > todayUTC){ bornAfter++; continue; }
+
+      let dAnt   = upTo(e.dAnt);
+      let pAnt   = dAnt ? e.pAnt : NaN;
+      let dAtual = upTo(e.dAtual);
+      let pAtual = dAtual ? e.pAtual : NaN;
+      if(!Number.isFinite(pAnt)) pAnt = NaN;
+      if(!Number.isFinite(pAtual)) pAtual = NaN;
+
+      // série completa (pesagens de importações anteriores incluídas) até à data de referência
+      const series = getWeighings(ledger, animal).filter(w => w.date <= todayISO);
+      const nPesagens = series.length;
+      if(nPesagens){
+        const last = series[nPesagens-1];
+        dAtual = parseDatePT(last.date);
+        pAtual = last.kg;
+        if(nPesagens >= 2){
+          const prev = series[nPesagens-2];
+          dAnt = parseDatePT(prev.date);
+          pAnt = prev.kg;
+        }
+      }else if(ledger.animals?.[animal]?.length){
+        // só tem pesagens depois da data de referência
+        dAnt = dAtual = null;
+        pAnt = pAtual = NaN;
+      }
+
+      let gmdInd = NaN;
+      if(nPesagens >= 2){
+        gmdInd = gmdFromSeries(series);
+      }else if(dAnt && dAtual && Number.isFinite(pAnt) && Number.isFinite(pAtual)){
+        const d = daysBetweenUTC(dAnt, dAtual);
+        if(Number.isFinite(d) && d > 0) gmdInd = (pAtual - pAnt) / d;
+      }
+      if(dAtual){
+        periodKeys.add(`${isoDateUTC(dAtual)}|${todayISO}`);
+      }
+
+      rows.push({animal, sexo, grupo, raca, racaFonte: e.raca ? "coluna" : "grupo", dNasc, dAnt, pAnt, dAtual, pAtual, gmdInd, nPesagens});
+    }
+    st.meta.born_after_asof = bornAfter;
+
+    // saúde: intervalo de segurança em curso e tratamentos no período, por animal
+    const saude = new Map();
+    if(opts.treatments?.registos?.length){
+      const eventos = eventsByAnimal(opts.events);
+      const desde = isoDateUTC(addDaysUTC(todayUTC, -cfg.HEALTH.JANELA_DIAS));
+      for(const r of rows){
+        const regs = treatmentsFor(r, opts.treatments, eventos, todayISO);
+        if(!regs.length) continue;
+        const w = withdrawalEnd(regs);
+        const recentes = regs.filter(t => t.data > desde && t.tipo === "tratamento");
+        saude.set(r.animal, {
+          intervaloAte: (w.fim && w.fim > todayISO) ? w.fim : null,
+          intervaloProduto: (w.fim && w.fim > todayISO) ? w.produto : null,
+          nTratamentos: recentes.length,
+          tratamentos: recentes.map(t => ({ data: t.data, produto: t.produto, grupo: t.grupo }))
+        });
+      }
+    }
+    const saudeDe = (animal, bucket) => {
+      const h = saude.get(animal);
+      if(!h) return {};
+      const repetidos = h.nTratamentos >= cfg.HEALTH.MIN_TRATAMENTOS;
+      return {
+        intervaloAte: h.intervaloAte,
+        intervaloAteTexto: h.intervaloAte ? fmtDate(parseDateFmt(h.intervaloAte, "YMD")) : null,
+        intervaloProduto: h.intervaloProduto,
+        nTratamentos: h.nTratamentos,
+        tratamentos: h.tratamentos,
+        tratamentosRepetidos: repetidos,
+        saudeGmd: (repetidos && (bucket === "o" || bucket === "r"))
+          ? `${h.nTratamentos} tratamentos em ${cfg.HEALTH.JANELA_DIAS} dias e GMD abaixo da base`
+          : null
+      };
+    };
+
+    // GMD suspeitas por grupo: marcadas no animal e fora das amostras do grupo
+    const gmdIndSamples = {}; // grupo -> [gmdInd] (sem suspeitas)
+    const comGmd = {};
+    for(const r of rows){
+      if(Number.isFinite(r.gmdInd)) (comGmd[r.grupo] ||= []).push(r);
+    }
+    for(const [g, list] of Object.entries(comGmd)){
+      const motivos = gmdOutliers(list.map(r => r.gmdInd), cfg.OUTLIERS);
+      list.forEach((r, i) => { r.suspeito = motivos[i]; });
+      gmdIndSamples[g] = list.filter(r => !r.suspeito).map(r => r.gmdInd);
+    }
+
+    // meteo cache (persistente entre runs, só resultados reais de fontes remotas)
+    const meteoCacheMap = opts.meteoCache || loadMeteoCache();
+    // offline: só fontes locais (estação, tabela manual); sem elas fica o fallback
+    const meteoCtx = {
+      site: cfg.SITE,
+      timeoutMs: cfg.METEO_TIMEOUT_MS,
+      providers: opts.offline
+        ? cfg.METEO.providers.filter(id => !METEO_PROVIDERS.get(id)?.remote)
+        : cfg.METEO.providers,
+      fetch: opts.fetch || null,
+      manual: cfg.METEO.manual,
+      minCoverage: cfg.METEO.MIN_COVERAGE,
+      needDaily: cfg.CLIMATE.model === "thi",
+      station: opts.station || null
+    };
+
+    if(onProgress) onProgress({ phase:"meteo", message:`A pedir meteorologia…`, done:0, total:periodKeys.size });
+
+    await preloadMeteoPeriods(cfg, meteoCtx, meteoCacheMap, periodKeys, (done,total)=>{
+      if(onProgress) onProgress({ phase:"meteo", message:`A pedir meteorologia…`, done, total });
+    });
+
+    if(!opts.meteoCache) track(saveMeteoCache(meteoCacheMap));
+
+    // médias reais por grupo (misto) para estado
+    const gmdMediaGrupo = {};
+    for(const r of rows){
+      const g = r.grupo || "—";
       if(gmdMediaGrupo[g] == null){
         const arr = gmdIndSamples[g] || [];
         gmdMediaGrupo[g] = arr.length ? (arr.reduce((a,b)=>a+b,0) / arr.length) : NaN;
@@ -390,24 +2630,55 @@
     }
     st.gmdEstimativaGrupo = gmdEstimativaGrupo;
 
+    // bases de comparação (sem GMD suspeitas); com poucas amostras fica a média mista do grupo
+    const perf = cfg.PERFORMANCE;
+    const idadeEm = (r) => r.dNasc ? daysBetweenUTC(r.dNasc, todayUTC) : NaN;
+    const baseSamples = {};
+    for(const r of rows){
+      if(!Number.isFinite(r.gmdInd) || r.suspeito) continue;
+      const b = performanceBase(r, perf, idadeEm(r));
+      if(b) (baseSamples[b.key] ||= []).push(r.gmdInd);
+    }
+    const baseFor = (r) => {
+      const b = performanceBase(r, perf, idadeEm(r));
+      const arr = b ? (baseSamples[b.key] || []) : [];
+      if(b && arr.length >= perf.MIN_AMOSTRA) return { media: mean(arr), n: arr.length, label: b.label };
+      const g = gmdIndSamples[r.grupo] || [];
+      return { media: gmdMediaGrupo[r.grupo], n: g.length, label: `Grupo ${r.grupo} (misto)` };
+    };
+
+    // dispersão da GMD por grupo (base dos intervalos)
+    const gmdCvGrupo = {};
+    for(const r of rows){
+      const g = r.grupo || "—";
+      if(gmdCvGrupo[g] == null) gmdCvGrupo[g] = gmdSpread(gmdIndSamples[g], cfg.UNCERTAINTY);
+    }
+
     const animalsOut = [];
     const groupAgg = {};
+    const meteoCount = {}; // fonte -> nº de animais
     let okRows=0, badRows=0;
 
     for(const r of rows){
+      const idadeDias = r.dNasc ? daysBetweenUTC(r.dNasc, todayUTC) : NaN;
       const hasAtual = r.dAtual && Number.isFinite(r.pAtual);
       if(!hasAtual){
         badRows++;
         animalsOut.push({
           sortKey: 99,
           animal:r.animal, grupo:r.grupo, sexo:r.sexo,
+          raca: r.raca, racaFonte: r.racaFonte,
+          idadeDias, idade: fmtAge(idadeDias),
           pesoAtual:"—", dataAtual:"—",
           temp:"—", fatorClima: NaN,
           estimado:"—",
           conf:"—", confClass:"muted",
           estado:"—", estadoClass:"muted",
           bucket:"none",
-          estKg: NaN
+          estKg: NaN, estKgMin: NaN, estKgMax: NaN,
+          gmdRel: NaN,
+          nPesagens: r.nPesagens,
+          ...saudeDe(r.animal, "none")
         });
         continue;
       }
@@ -416,29 +2687,77 @@
       const daysSince = daysBetweenUTC(r.dAtual, today);
       const [conf, confClass] = confidenceByDays(daysSince);
 
-      const meteo = await getTempMeanForPeriod(cfg.SITE, meteoCacheMap, r.dAtual, today, cfg.METEO_TIMEOUT_MS);
-      const fc = meteo.factor;
+      const meteo = await getTempMeanForPeriod(meteoCtx, meteoCacheMap, r.dAtual, today);
+      const clima = climateFactor(meteo, cfg.CLIMATE);
+      const fc = clima.factor;
+      meteoCount[meteo.provider] = (meteoCount[meteo.provider] || 0) + 1;
+
+      // GMD suspeita: o animal é projetado como se não tivesse GMD própria
+      const gmdOwn = r.suspeito ? NaN : r.gmdInd;
+      const gmdBase = Number.isFinite(gmdOwn) ? gmdOwn : (gmdEstimativaGrupo[r.grupo] ?? cfg.CONSERVATIVE_FALLBACK_GMD);
+
+      // com data de nascimento: a curva por idade/sexo substitui os limiares de peso;
+      // o fator sexo só se aplica quando a base é a média (mista) do grupo
+      const idadePesagem = r.dNasc ? daysBetweenUTC(r.dNasc, r.dAtual) : NaN;
+      const fIdade = factorIdade(r.sexo, idadePesagem, daysSince, cfg.GROWTH_CURVE);
+      const fAnimal = Number.isFinite(fIdade)
+        ? fIdade * (Number.isFinite(gmdOwn) ? 1 : factorSexo(r.sexo))
+        : factorSexo(r.sexo) * factorMaturidade(r.pAtual, r.sexo);
 
-      const gmdBase = Number.isFinite(r.gmdInd) ? r.gmdInd : (gmdEstimativaGrupo[r.grupo] ?? cfg.CONSERVATIVE_FALLBACK_GMD);
-      const gmdFinal = gmdBase * factorSexo(r.sexo) * factorMaturidade(r.pAtual, r.sexo) * fc;
+      const gmdFinal = gmdBase * fAnimal * fc;
       const estKg = r.pAtual + (gmdFinal * daysSince);
 
-      const [estado, estadoClass, estadoSort, bucket] = performanceStatus(r.gmdInd, gmdMediaGrupo[r.grupo]);
+      // o erro da GMD acumula-se nos dias desde a pesagem
+      const gmdRel = gmdUncertainty(gmdCvGrupo[r.grupo], Number.isFinite(gmdOwn), meteo.provider, cfg.UNCERTAINTY);
+      const meiaKg = Math.abs(gmdFinal) * Math.max(0, daysSince) * gmdRel;
+      const estKgMin = estKg - meiaKg;
+      const estKgMax = estKg + meiaKg;
+
+      // GMD para projetar a partir de hoje: mesma cadeia de fatores; com idade, a curva
+      // entra depois em calcDaysToTargetByAge, sem ela a maturidade é avaliada no peso estimado
+      const fProj = Number.isFinite(fIdade)
+        ? (Number.isFinite(gmdOwn) ? 1 : factorSexo(r.sexo))
+        : factorSexo(r.sexo) * factorMaturidade(estKg, r.sexo);
+      const gmdProj = gmdBase * fProj * fc;
+
+      const base = baseFor(r);
+      const [estado, estadoClass, estadoSort, bucket] = r.suspeito
+        ? ["⚠ Dados suspeitos", "warn", 8, "none"]
+        : performanceStatus(r.gmdInd, base.media);
 
       okRows++;
 
       animalsOut.push({
         sortKey: estadoSort,
         animal:r.animal, grupo:r.grupo, sexo:r.sexo,
+        idadeDias, idade: fmtAge(idadeDias),
         pesoAtual:`${r.pAtual.toFixed(1)} kg`,
         dataAtual:fmtDate(r.dAtual),
         temp: Number.isFinite(meteo.tmean) ? `${meteo.tmean.toFixed(1)} °C` : "—",
         fatorClima: fc,
+        fatorClimaModelo: clima.model,
+        fatorClimaTemp: clima.fTemp,
+        fatorClimaTHI: clima.fTHI,
+        diasStress: clima.stressDays,
+        thiMax: clima.thi.thiMax,
+        meteoFonte: meteo.provider,
+        fatorIdade: fIdade,
         estimado: Number.isFinite(estKg) ? `${estKg.toFixed(1)} kg` : "—",
+        estimadoIntervalo: Number.isFinite(estKg) ? `${estKgMin.toFixed(0)}–${estKgMax.toFixed(0)} kg` : "—",
         conf, confClass,
         estado, estadoClass,
         bucket,
-        estKg
+        estKg, estKgMin, estKgMax,
+        gmdRel,
+        gmdInd: r.gmdInd,
+        suspeito: r.suspeito || null,
+        raca: r.raca, racaFonte: r.racaFonte,
+        baseGmd: base.media, baseN: base.n, baseComparacao: base.label,
+        gmdProj,
+        nPesagens: r.nPesagens,
+        diasDesdePesagem: daysSince,
+        variacaoKg: Number.isFinite(r.pAnt) ? r.pAtual - r.pAnt : NaN,
+        ...saudeDe(r.animal, bucket)
       });
 
       const g = r.grupo || "—";
@@ -447,10 +2766,15 @@
           name:g,n:0,m:0,f:0,
           sumPesoM:0,sumPesoF:0,
           sumEstM:0,sumEstF:0,
+          sumEstMinM:0,sumEstMinF:0,sumEstMaxM:0,sumEstMaxF:0,
+          sumRelM:0,sumRelF:0,
           sumGmdM:0,sumGmdF:0,
           nGmdM:0,nGmdF:0,
           sumTemp:0,nTemp:0,
-          ok:0,warn:0,bad:0
+          sumIdadeM:0,sumIdadeF:0,
+          nIdadeM:0,nIdadeF:0,
+          ok:0,warn:0,bad:0,
+          suspeitos:0
         };
       }
 
@@ -460,17 +2784,24 @@
       const sx = clean(r.sexo).toUpperCase();
       if(sx==="M"){
         ga.m++; ga.sumPesoM += r.pAtual;
-        if(Number.isFinite(estKg)) ga.sumEstM += estKg;
+        if(Number.isFinite(estKg)){
+          ga.sumEstM += estKg; ga.sumEstMinM += estKgMin; ga.sumEstMaxM += estKgMax; ga.sumRelM += gmdRel;
+        }
+        if(Number.isFinite(idadeDias)){ ga.sumIdadeM += idadeDias; ga.nIdadeM++; }
       }else if(sx==="F"){
         ga.f++; ga.sumPesoF += r.pAtual;
-        if(Number.isFinite(estKg)) ga.sumEstF += estKg;
+        if(Number.isFinite(estKg)){
+          ga.sumEstF += estKg; ga.sumEstMinF += estKgMin; ga.sumEstMaxF += estKgMax; ga.sumRelF += gmdRel;
+        }
+        if(Number.isFinite(idadeDias)){ ga.sumIdadeF += idadeDias; ga.nIdadeF++; }
       }
 
       if(Number.isFinite(meteo.tmean)){ ga.sumTemp += meteo.tmean; ga.nTemp++; }
+      if(r.suspeito) ga.suspeitos++;
 
-      if(Number.isFinite(r.gmdInd)){
-        if(sx==="M"){ ga.sumGmdM += r.gmdInd; ga.nGmdM++; }
-        else if(sx==="F"){ ga.sumGmdF += r.gmdInd; ga.nGmdF++; }
+      if(Number.isFinite(gmdOwn)){
+        if(sx==="M"){ ga.sumGmdM += gmdOwn; ga.nGmdM++; }
+        else if(sx==="F"){ ga.sumGmdF += gmdOwn; ga.nGmdF++; }
 
         if(bucket==="g") ga.ok++;
         else if(bucket==="o") ga.warn++;
@@ -487,10 +2818,18 @@
       g.avgPesoF = g.f ? g.sumPesoF/g.f : NaN;
       g.avgEstM  = g.m ? g.sumEstM/g.m : NaN;
       g.avgEstF  = g.f ? g.sumEstF/g.f : NaN;
+      g.avgEstMinM = g.m ? g.sumEstMinM/g.m : NaN;
+      g.avgEstMaxM = g.m ? g.sumEstMaxM/g.m : NaN;
+      g.avgEstMinF = g.f ? g.sumEstMinF/g.f : NaN;
+      g.avgEstMaxF = g.f ? g.sumEstMaxF/g.f : NaN;
+      g.avgRelM  = g.m ? g.sumRelM/g.m : NaN;
+      g.avgRelF  = g.f ? g.sumRelF/g.f : NaN;
 
       g.avgGmdM  = g.nGmdM ? g.sumGmdM/g.nGmdM : NaN;
       g.avgGmdF  = g.nGmdF ? g.sumGmdF/g.nGmdF : NaN;
       g.avgTemp  = g.nTemp ? g.sumTemp/g.nTemp : NaN;
+      g.avgIdadeM = g.nIdadeM ? g.sumIdadeM/g.nIdadeM : NaN;
+      g.avgIdadeF = g.nIdadeF ? g.sumIdadeF/g.nIdadeF : NaN;
 
       const totalStatus = g.ok + g.warn + g.bad;
       g.risk = totalStatus ? ((g.warn + g.bad) / totalStatus) : 0;
@@ -503,65 +2842,370 @@
     st.groupsOut = groupsOut;
     st.groupAgg = groupAgg;
 
-    st.meta.processed_ok = okRows;
-    st.meta.processed_fail = badRows;
-    st.meta.delimiter = delim;
-    st.generated_at = new Date().toISOString();
+    st.meta.processed_ok = okRows;
+    st.meta.processed_fail = badRows;
+    st.meta.suspeitos = animalsOut.filter(a => a.suspeito).length;
+    st.meta.em_intervalo = animalsOut.filter(a => a.intervaloAte).length;
+    st.meta.meteo = meteoCount;
+    st.meta.animals_with_history = Object.keys(ledger.animals).length;
+    st.generated_at = new Date().toISOString();
+
+    return st;
+  }
+
+  /* ===================== ALERTAS (para dashboard) ===================== */
+  // métricas das regras: "agrega" diz o que a métrica vale no grupo/efetivo
+  //   conjunto -> um valor para o conjunto (GMD média; dias desde a pesagem mais recente)
+  //   contagem -> nº de animais que cumprem a condição (um só alerta em vez de um por animal)
+  const ALERT_METRICS = {
+    risco_pct:          { label: "Animais em risco (🟡+🔴)", curto: "em risco",       unidade: "%",      escopos: ["efetivo", "grupo"] },
+    vermelhos_pct:      { label: "Animais atrasados (🔴)",   curto: "atrasados 🔴",   unidade: "%",      escopos: ["efetivo", "grupo"] },
+    dias_sem_pesagem:   { label: "Dias sem pesagem",          curto: "sem pesagem há", unidade: "dias",   escopos: ["efetivo", "grupo", "animal"], agrega: "conjunto" },
+    gmd_abaixo:         { label: "GMD abaixo de",             curto: "GMD",            unidade: "kg/dia", escopos: ["efetivo", "grupo", "animal"], agrega: "conjunto", abaixo: true },
+    perda_peso:         { label: "Perda de peso",             curto: "perdeu",         unidade: "kg",     escopos: ["efetivo", "grupo", "animal"], agrega: "contagem" },
+    pronto_nao_vendido: { label: "Pronto e não vendido há",   curto: "pronto há",      unidade: "dias",   escopos: ["efetivo", "grupo", "animal"], agrega: "contagem" }
+  };
+  const ALERT_SCOPES = { efetivo: "Efetivo", grupo: "Grupo", animal: "Animal" };
+  const ALERT_LEVELS = { bad: 2, warn: 1 };
+
+  function normalizeAlertRule(r, i){
+    const m = ALERT_METRICS[r?.metrica];
+    if(!m) throw new Error(`Regra ${i+1}: métrica desconhecida (${r?.metrica}).`);
+    if(!m.escopos.includes(r.escopo)) throw new Error(`Regra ${i+1}: "${m.label}" não se aplica ao escopo ${r.escopo}.`);
+    if(!Number.isFinite(r.limiar)) throw new Error(`Regra ${i+1}: limiar inválido.`);
+    if(!ALERT_LEVELS[r.severidade]) throw new Error(`Regra ${i+1}: severidade inválida (${r.severidade}).`);
+    return {
+      id: clean(r.id) || `${r.escopo}_${r.metrica}_${i+1}`,
+      ativo: r.ativo !== false,
+      escopo: r.escopo,
+      metrica: r.metrica,
+      limiar: r.limiar,
+      severidade: r.severidade
+    };
+  }
+
+  function fmtAlertValue(v, metrica){
+    const u = ALERT_METRICS[metrica].unidade;
+    if(u === "kg/dia") return `${v.toFixed(2)} kg/dia`;
+    if(u === "%") return `${v.toFixed(0)}%`;
+    return `${Math.round(v)} ${u}`;
+  }
+
+  // conta a partir da data da última pesagem quando o animal não traz diasDesdePesagem (estados antigos)
+  function daysSinceWeighing(a, todayUTC){
+    if(Number.isFinite(a.diasDesdePesagem)) return a.diasDesdePesagem;
+    const d = parseDatePT(a.dataAtual);
+    return d ? daysBetweenUTC(d, todayUTC) : NaN;
+  }
+
+  // dias desde que o animal passou o alvo (estimativa pela GMD projetada); NaN se não está pronto
+  function diasPronto(a, alvo){
+    // em intervalo de segurança ainda não pode ser vendido; numa carga guardada já está vendido
+    if(a.intervaloAte || a.reservado) return NaN;
+    if(!Number.isFinite(a.estKg) || !Number.isFinite(alvo) || a.estKg < alvo) return NaN;
+    if(Number.isFinite(a.gmdProj) && a.gmdProj > 0) return (a.estKg - alvo) / a.gmdProj;
+    return a.diasDesdePesagem;
+  }
+
+  // valor da métrica num animal (NaN = sem dados) e se dispara com o limiar
+  function animalMetric(metrica, a, alvo){
+    switch(metrica){
+      case "dias_sem_pesagem": return a.diasDesdePesagem;
+      case "gmd_abaixo": return a.suspeito ? NaN : a.gmdInd;
+      case "perda_peso": return Number.isFinite(a.variacaoKg) ? -a.variacaoKg : NaN;
+      case "pronto_nao_vendido": return diasPronto(a, alvo);
+      default: return NaN;
+    }
+  }
+  const fires = (metrica, v, limiar) => Number.isFinite(v) && (ALERT_METRICS[metrica].abaixo ? v < limiar : v >= limiar);
+
+  // avalia uma regra sobre um conjunto de animais (grupo ou efetivo)
+  function setMetric(rule, animals, counts, alvoDe){
+    const { metrica, limiar } = rule;
+    if(metrica === "risco_pct" || metrica === "vermelhos_pct"){
+      const total = counts.ok + counts.warn + counts.bad;
+      if(!total) return null;
+      const v = 100 * (metrica === "vermelhos_pct" ? counts.bad : counts.bad + counts.warn) / total;
+      return { valor: v, detalhe: `🔴 ${counts.bad} · 🟡 ${counts.warn} · 🟢 ${counts.ok} (${total} com histórico)` };
+    }
+    const vals = animals.map(a => ({ a, v: animalMetric(metrica, a, alvoDe(a)) })).filter(x => Number.isFinite(x.v));
+    if(!vals.length) return null;
+    if(ALERT_METRICS[metrica].agrega === "conjunto"){
+      return metrica === "gmd_abaixo"
+        ? { valor: mean(vals.map(x => x.v)), detalhe: `média de ${vals.length} animais` }
+        : { valor: Math.min(...vals.map(x => x.v)), detalhe: `pesagem mais recente do conjunto` };
+    }
+    const hit = vals.filter(x => fires(metrica, x.v, limiar)).sort((x, y) => y.v - x.v);
+    const lista = hit.slice(0, 5).map(x => `${x.a.animal} (${fmtAlertValue(x.v, metrica)})`).join(", ");
+    return { valor: hit.length, contagem: true, detalhe: hit.length ? `${lista}${hit.length > 5 ? ` e mais ${hit.length - 5}` : ""}` : "" };
+  }
 
-    return st;
+  function alertText(rule, sujeito, r){
+    const m = ALERT_METRICS[rule.metrica];
+    const quem = rule.escopo === "efetivo" ? "Efetivo" : (rule.escopo === "grupo" ? sujeito : `Animal ${sujeito}`);
+    const icon = rule.severidade === "bad" ? "🔥" : "⚠️";
+    const lim = fmtAlertValue(rule.limiar, rule.metrica);
+    if(r.contagem){
+      return {
+        text: `${icon} ${quem} — ${r.valor} animal(is) ${rule.metrica === "perda_peso" ? `a perder ≥ ${lim}` : `prontos há ≥ ${lim}`}`,
+        explicacao: `${m.label} ${lim} ou mais em ${r.valor} animal(is): ${r.detalhe}.`
+      };
+    }
+    const cmp = m.abaixo ? "abaixo de" : "≥";
+    return {
+      text: `${icon} ${quem} — ${m.curto} ${fmtAlertValue(r.valor, rule.metrica)}`,
+      explicacao: `${m.label} ${fmtAlertValue(r.valor, rule.metrica)} (regra: ${cmp} ${lim})${r.detalhe ? ` · ${r.detalhe}` : ""}.`
+    };
   }
 
-  /* ===================== ALERTAS (para dashboard) ===================== */
-  function buildAlerts(groupsOut){
-    const rows = [];
-    for(const g of groupsOut || []){
-      const total = (g.ok||0) + (g.warn||0) + (g.bad||0);
-      if(total === 0) continue;
+  // alertas das regras configuradas. Aceita o estado (ou só os groupsOut, para as regras de %).
+  // Por sujeito (efetivo, grupo ou animal) fica o alerta mais grave; os outros vão na explicação.
+  // options: { rules, targets, estados (reconhecimentos), hoje (ISO, para os adiamentos), reservados (Map de lotReservations) }
+  function buildAlerts(state, options = {}){
+    const st = Array.isArray(state) ? { groupsOut: state } : (state || {});
+    const rules = (options.rules || st.config?.ALERT_RULES || DEFAULTS.ALERT_RULES)
+      .map(normalizeAlertRule).filter(r => r.ativo);
+    const targets = normalizeTargets(options.targets || st.targets);
+    const reservados = options.reservados || lotReservations(st.lotes);
+    const animals = (st.animalsOut || []).filter(a => Number.isFinite(a.estKg))
+      .map(a => reservados.has(a.animal) ? { ...a, reservado: true } : a);
+    const alvoDe = (a) => resolveTarget(targets, a.grupo, a.sexo, a.animal).alvo;
+    const zero = () => ({ ok: 0, warn: 0, bad: 0 });
+
+    const herd = zero();
+    for(const g of st.groupsOut || []){ herd.ok += g.ok || 0; herd.warn += g.warn || 0; herd.bad += g.bad || 0; }
+    const porGrupo = {};
+    for(const a of animals) (porGrupo[a.grupo || "—"] ||= []).push(a);
+
+    const found = [];
+    const add = (rule, sujeito, r) => {
+      if(!r || (r.contagem ? r.valor < 1 : !fires(rule.metrica, r.valor, rule.limiar))) return;
+      found.push({
+        id: `${rule.id}|${rule.escopo}|${sujeito}`,
+        regra: rule.id, escopo: rule.escopo, sujeito, metrica: rule.metrica,
+        level: rule.severidade, valor: r.valor, limiar: rule.limiar,
+        ...alertText(rule, sujeito, r)
+      });
+    };
 
-      const pRed = (g.bad||0) / total;
-      const pRisk = ((g.bad||0) + (g.warn||0)) / total;
+    for(const rule of rules){
+      if(rule.escopo === "efetivo"){
+        add(rule, "efetivo", setMetric(rule, animals, herd, alvoDe));
+      }else if(rule.escopo === "grupo"){
+        for(const g of st.groupsOut || []){
+          add(rule, g.name, setMetric(rule, porGrupo[g.name] || [], { ok: g.ok || 0, warn: g.warn || 0, bad: g.bad || 0 }, alvoDe));
+        }
+      }else{
+        for(const a of animals){
+          const v = animalMetric(rule.metrica, a, alvoDe(a));
+          add(rule, a.animal, Number.isFinite(v) ? { valor: v, detalhe: `grupo ${a.grupo}` } : null);
+        }
+      }
+    }
 
-      if(pRed >= 0.15){
-        rows.push({level:"bad", text:`🔥 ${g.name} — ALERTA VERMELHO`, meta:`🔴 ${(pRed*100).toFixed(0)}% | risco ${(pRisk*100).toFixed(0)}% | hist ${total}`});
-      }else if(pRisk >= 0.30){
-        rows.push({level:"warn", text:`⚠️ ${g.name} — ALERTA AMARELO`, meta:`risco ${(pRisk*100).toFixed(0)}% | hist ${total}`});
+    // um alerta por sujeito: o mais grave (empate: o primeiro pela ordem das regras)
+    const bySubject = new Map();
+    for(const a of found){
+      const k = `${a.escopo}|${a.sujeito}`;
+      const cur = bySubject.get(k);
+      if(!cur){ bySubject.set(k, { ...a, outros: [] }); continue; }
+      if(ALERT_LEVELS[a.level] > ALERT_LEVELS[cur.level]){
+        bySubject.set(k, { ...a, outros: [cur.text, ...cur.outros] });
+      }else{
+        cur.outros.push(a.text);
       }
     }
 
+    const estados = options.estados || st.alertasEstado || {};
+    const hoje = options.hoje || isoDateUTC(dayUTC());
+    const rows = [...bySubject.values()].map(a => {
+      const e = estados[a.id];
+      // reconhecido: fica calado enquanto não piorar; adiado: até à data
+      let estado = "ativo";
+      if(e?.tipo === "reconhecido" && ALERT_LEVELS[a.level] <= ALERT_LEVELS[e.nivel]) estado = "reconhecido";
+      if(e?.tipo === "adiado" && e.ate > hoje) estado = "adiado";
+      return {
+        ...a,
+        meta: a.explicacao + (a.outros.length ? ` Também: ${a.outros.join("; ")}.` : ""),
+        estado,
+        ate: estado === "adiado" ? e.ate : null,
+        por: estado !== "ativo" ? (e.por || null) : null
+      };
+    });
+
+    const scopeRank = { efetivo: 0, grupo: 1, animal: 2 };
     rows.sort((a,b)=>{
-      const la = a.level==="bad" ? 2 : 1;
-      const lb = b.level==="bad" ? 2 : 1;
-      if(lb!==la) return lb-la;
+      const la = ALERT_LEVELS[a.level], lb = ALERT_LEVELS[b.level];
+      if(lb !== la) return lb - la;
+      if(scopeRank[a.escopo] !== scopeRank[b.escopo]) return scopeRank[a.escopo] - scopeRank[b.escopo];
       return a.text.localeCompare(b.text);
     });
 
     return rows;
   }
 
+  // depois de uma importação: esquece reconhecimentos de alertas que deixaram de disparar e adiamentos vencidos
+  function pruneAlertStates(st){
+    if(!st?.alertasEstado) return;
+    const ativos = new Set(buildAlerts(st, { estados: {} }).map(a => a.id));
+    const hoje = isoDateUTC(dayUTC());
+    for(const [id, e] of Object.entries(st.alertasEstado)){
+      if(!ativos.has(id) || (e.tipo === "adiado" && e.ate <= hoje)) delete st.alertasEstado[id];
+    }
+  }
+
   /* ===================== FORECAST (para planeamento) ===================== */
-  function computeForecast(state, targets){
+  // classes de prontidão para venda (dias até ao alvo)
+  const READY_CLASSES = [
+    { id:"pronto", label:"Pronto agora",   cls:"ok",    ate:0 },
+    { id:"intervalo", label:"Pronto, em intervalo de segurança", cls:"bad", ate:NaN },
+    { id:"d30",    label:"Até 30 dias",    cls:"warn",  ate:30 },
+    { id:"d60",    label:"31–60 dias",     cls:"muted", ate:60 },
+    { id:"d60p",   label:"Mais de 60 dias", cls:"muted", ate:Infinity },
+    { id:"sem",    label:"Sem previsão",   cls:"muted", ate:NaN }
+  ];
+  function readinessClass(days){
+    if(!Number.isFinite(days)) return READY_CLASSES[READY_CLASSES.length-1];
+    return READY_CLASSES.find(c => days <= c.ate);
+  }
+
+  // previsão de saída por animal: alvo resolvido (animal > grupo > global), dias, data e classe
+  function computeAnimalForecast(state, targets){
+    const st = state;
+    const todayUTC = st?.todayUTC ? new Date(st.todayUTC) : dayUTC();
+    const curve = st?.config?.GROWTH_CURVE || DEFAULTS.GROWTH_CURVE;
+    targets = targets || st?.targets;
+
+    return (st?.animalsOut || []).map(a=>{
+      const t = resolveTarget(targets, a.grupo, a.sexo, a.animal);
+      const calc = (kg, gmd) => Number.isFinite(a.idadeDias)
+        ? calcDaysToTargetByAge(kg, t.alvo, gmd, a.idadeDias, a.sexo, curve)
+        : calcDaysToTarget(kg, t.alvo, gmd);
+      const dias = calc(a.estKg, a.gmdProj);
+      const [diasMin, diasMax] = daysWindow(calc, a.estKgMin, a.estKgMax, a.gmdProj, a.gmdRel);
+      // em intervalo de segurança: a saída passa para o fim do intervalo
+      const fimIntervalo = a.intervaloAte ? parseDateFmt(a.intervaloAte, "YMD") : null;
+      const noAlvo = Number.isFinite(dias) ? addDaysUTC(todayUTC, Math.ceil(dias)) : null;
+      const dataPrev = (noAlvo && fimIntervalo && fimIntervalo > noAlvo) ? fimIntervalo : noAlvo;
+      const dataMax = Number.isFinite(diasMax) ? addDaysUTC(todayUTC, Math.ceil(diasMax)) : null;
+      let rc = readinessClass(dias);
+      if(rc.id === "pronto" && fimIntervalo) rc = { ...READY_CLASSES.find(c => c.id === "intervalo"), label: `Pronto; intervalo até ${fmtDate(fimIntervalo)}` };
+      const dataAlvo = t.dataAlvo ? parseDateFmt(t.dataAlvo, "YMD") : null;
+
+      return {
+        animal: a.animal, grupo: a.grupo, sexo: a.sexo,
+        estKg: a.estKg,
+        gmdProj: a.gmdProj,
+        alvo: t.alvo, alvoFonte: t.fonte,
+        dataAlvo: dataAlvo ? fmtDate(dataAlvo) : "—",
+        cumpreDataAlvo: (dataAlvo && dataPrev) ? dataPrev <= dataAlvo : null,
+        cumpreDataAlvoSeguro: (dataAlvo && dataPrev) ? (!!dataMax && dataMax <= dataAlvo) : null,
+        dias, diasMin, diasMax,
+        // dias até poder sair (o fim do intervalo de segurança, se for depois do alvo)
+        diasSaida: (fimIntervalo && dataPrev === fimIntervalo) ? Math.round((fimIntervalo - todayUTC) / 86400000) : dias,
+        data: dataPrev ? fmtDate(dataPrev) : "—",
+        dataISO: dataPrev ? isoDateUTC(dataPrev) : null,
+        janela: fmtWindow(todayUTC, diasMin, diasMax),
+        intervaloAte: a.intervaloAte || null,
+        intervaloTexto: fimIntervalo ? `Intervalo de segurança até ${fmtDate(fimIntervalo)}${a.intervaloProduto ? ` (${a.intervaloProduto})` : ""}` : null,
+        prontidao: rc.id,
+        prontidaoTexto: rc.label,
+        prontidaoClass: rc.cls
+      };
+    });
+  }
+
+  // contagem por classe de prontidão, por grupo
+  function readinessByGroup(animalRows){
+    const out = {};
+    for(const r of animalRows){
+      const g = r.grupo || "—";
+      if(!out[g]) out[g] = Object.fromEntries(READY_CLASSES.map(c => [c.id, 0]));
+      out[g][r.prontidao]++;
+    }
+    return out;
+  }
+  function readinessText(counts){
+    if(!counts) return "—";
+    const parts = [];
+    const prontos = (n) => `${n} ${n === 1 ? "pronto" : "prontos"}`;
+    if(counts.pronto) parts.push(`${prontos(counts.pronto)} agora`);
+    if(counts.intervalo) parts.push(`${prontos(counts.intervalo)} em intervalo de segurança`);
+    if(counts.d30) parts.push(`${counts.d30} em 30 dias`);
+    if(counts.d60) parts.push(`${counts.d60} em 31–60 dias`);
+    if(counts.d60p) parts.push(`${counts.d60p} depois`);
+    return parts.length ? parts.join(", ") : "—";
+  }
+
+  function computeForecast(state, targets, economia){
     const st = state;
-    const todayUTC = st?.todayUTC ? new Date(st.todayUTC) : new Date();
+    const todayUTC = st?.todayUTC ? new Date(st.todayUTC) : dayUTC();
+    economia = normalizeEconomics(economia || st?.economia);
 
-    const targetM = Number.isFinite(targets?.targetM) ? targets.targetM : 620;
-    const targetF = Number.isFinite(targets?.targetF) ? targets.targetF : 520;
     const fallback = Number.isFinite(st?.config?.CONSERVATIVE_FALLBACK_GMD) ? st.config.CONSERVATIVE_FALLBACK_GMD : DEFAULTS.CONSERVATIVE_FALLBACK_GMD;
+    const curve = st?.config?.GROWTH_CURVE || DEFAULTS.GROWTH_CURVE;
+    targets = targets || st?.targets;
+    const animais = computeAnimalForecast(st, targets);
+    const prontidao = readinessByGroup(animais);
+    // intervalo de segurança por grupo: quantos e até quando (o último a acabar)
+    const intervalo = {};
+    for(const a of animais){
+      if(!a.intervaloAte) continue;
+      const x = (intervalo[a.grupo] ||= { n: 0, ate: a.intervaloAte });
+      x.n++;
+      if(a.intervaloAte > x.ate) x.ate = a.intervaloAte;
+    }
+    // GMD projetada média por grupo e sexo, a dos animais (a cadeia do processCSVText: GMD própria ou
+    // estimativa do grupo, com os fatores de clima e sexo): a linha do grupo bate com o detalhe por animal
+    const projPorGrupo = {};
+    for(const a of animais){
+      if(Number.isFinite(a.gmdProj)) (projPorGrupo[`${a.grupo}|${clean(a.sexo).toUpperCase()}`] ||= []).push(a.gmdProj);
+    }
+    const gmdProjGrupo = (grupo, sexo) => {
+      const l = projPorGrupo[`${grupo}|${sexo}`];
+      return l?.length ? mean(l) : NaN;
+    };
 
     const rows = (st?.groupsOut || []).map(g=>{
+      const tM = groupTarget(targets, g.name, "M");
+      const tF = groupTarget(targets, g.name, "F");
+      const targetM = tM.alvo;
+      const targetF = tF.alvo;
+      const dataAlvo = tM.dataAlvo ? parseDateFmt(tM.dataAlvo, "YMD") : null;
+
       const pM = g.avgEstM;
       const pF = g.avgEstF;
 
       const realM = g.avgGmdM;
       const realF = g.avgGmdF;
 
-      const gmdUsedM = pickGmdUsed(realM, fallback);
-      const gmdUsedF = pickGmdUsed(realF, fallback);
+      // idade média (dias): com idade, os dias seguem a curva
+      const ageM = g.avgIdadeM;
+      const ageF = g.avgIdadeF;
+
+      // a projetada dos animais; a GMD real sem fatores ou a curva só se nenhum animal tiver projeção
+      const projM = gmdProjGrupo(g.name, "M");
+      const projF = gmdProjGrupo(g.name, "F");
+      const gmdUsedM = Number.isFinite(projM) ? projM : pickGmdUsed(realM, Number.isFinite(ageM) ? curveGmd("M", ageM, curve) : fallback);
+      const gmdUsedF = Number.isFinite(projF) ? projF : pickGmdUsed(realF, Number.isFinite(ageF) ? curveGmd("F", ageF, curve) : fallback);
+
+      const calcM = (kg, gmd) => Number.isFinite(ageM)
+        ? calcDaysToTargetByAge(kg, targetM, gmd, ageM, "M", curve)
+        : calcDaysToTarget(kg, targetM, gmd);
+      const calcF = (kg, gmd) => Number.isFinite(ageF)
+        ? calcDaysToTargetByAge(kg, targetF, gmd, ageF, "F", curve)
+        : calcDaysToTarget(kg, targetF, gmd);
+      const daysM = calcM(pM, gmdUsedM);
+      const daysF = calcF(pF, gmdUsedF);
 
-      const daysM = calcDaysToTarget(pM, targetM, gmdUsedM);
-      const daysF = calcDaysToTarget(pF, targetF, gmdUsedF);
+      // janela mais cedo – mais tarde (intervalos médios dos animais do grupo)
+      const [daysMinM, daysMaxM] = daysWindow(calcM, g.avgEstMinM, g.avgEstMaxM, gmdUsedM, g.avgRelM);
+      const [daysMinF, daysMaxF] = daysWindow(calcF, g.avgEstMinF, g.avgEstMaxF, gmdUsedF, g.avgRelF);
 
       const dateM = Number.isFinite(daysM) ? fmtDate(addDaysUTC(todayUTC, Math.ceil(daysM))) : "—";
       const dateF = Number.isFinite(daysF) ? fmtDate(addDaysUTC(todayUTC, Math.ceil(daysF))) : "—";
+      const janelaM = fmtWindow(todayUTC, daysMinM, daysMaxM);
+      const janelaF = fmtWindow(todayUTC, daysMinF, daysMaxF);
 
       const [stM, stMClass] = classifyReady(pM, targetM);
       const [stF, stFClass] = classifyReady(pF, targetF);
@@ -588,15 +3232,84 @@
         estadoTexto = "—"; estadoClass="muted";
       }
 
+      // data alvo do grupo: dias disponíveis vs dias previstos
+      // (seguro = mesmo no limite mais tarde da janela)
+      let diasAteAlvo = NaN, cumpreDataAlvo = null, cumpreDataAlvoSeguro = null;
+      if(dataAlvo){
+        diasAteAlvo = Math.round((dataAlvo - todayUTC) / 86400000);
+        const need = (dM, dF) => Math.max(
+          (g.m||0)>0 ? (Number.isFinite(dM) ? dM : Infinity) : 0,
+          (g.f||0)>0 ? (Number.isFinite(dF) ? dF : Infinity) : 0
+        );
+        cumpreDataAlvo = need(daysM, daysF) <= diasAteAlvo;
+        cumpreDataAlvoSeguro = need(daysMaxM, daysMaxF) <= diasAteAlvo;
+      }
+      // data "de certeza": o fim mais tarde da janela, entre os sexos presentes
+      const diasMaximo = Math.max((g.m||0)>0 ? daysMaxM : -Infinity, (g.f||0)>0 ? daysMaxF : -Infinity);
+      const dataMaxima = Number.isFinite(diasMaximo) ? fmtDate(addDaysUTC(todayUTC, Math.ceil(diasMaximo))) : "—";
+
+      // economia: custo até ao alvo, receita no alvo e quanto rende (ou custa) mais uma semana.
+      // Ótimo económico = primeira semana em que engordar o grupo já não paga a alimentação.
+      const eco = resolveEconomics(economia, g.name);
+      let custoAteAlvo = NaN, receitaAlvo = NaN, receitaAgora = NaN;
+      let ganhoSemana = NaN, ganhoSemanaM = NaN, ganhoSemanaF = NaN;
+      let diasOtimo = NaN, margemOtima = NaN;
+      if(eco){
+        const sexos = [
+          { n: g.m || 0, p: pM, alvo: targetM, dias: daysM, gmd: gmdUsedM, idade: ageM, sexo: "M" },
+          { n: g.f || 0, p: pF, alvo: targetF, dias: daysF, gmd: gmdUsedF, idade: ageF, sexo: "F" }
+        ].filter(x => x.n > 0 && Number.isFinite(x.p));
+        if(sexos.length){
+          custoAteAlvo = sexos.reduce((a, x) => a + x.n * eco.custoDia * (Number.isFinite(x.dias) ? x.dias : NaN), 0);
+          receitaAlvo = sexos.reduce((a, x) => a + x.n * eco.precoVenda * Math.max(x.p, x.alvo), 0);
+          receitaAgora = sexos.reduce((a, x) => a + x.n * eco.precoVenda * x.p, 0);
+          const semanas = sexos.map(x => ({ ...x, m: weeklyMargins(x.p, x.gmd, x.idade, x.sexo, curve, eco) }));
+          const porCabeca = (sx) => semanas.find(x => x.sexo === sx)?.m[0] ?? NaN;
+          ganhoSemanaM = porCabeca("M");
+          ganhoSemanaF = porCabeca("F");
+          const total = (k) => semanas.reduce((a, x) => a + x.n * (x.m[k] ?? NaN), 0);
+          ganhoSemana = total(0);
+          let acc = 0;
+          for(let k=0;k<52;k++){
+            const v = total(k);
+            if(!Number.isFinite(v)) break;
+            if(v <= 0){ diasOtimo = 7*k; break; }
+            acc += v;
+          }
+          margemOtima = Number.isFinite(diasOtimo) ? acc : NaN;
+        }
+      }
+      const dataOtimaD = Number.isFinite(diasOtimo) ? addDaysUTC(todayUTC, diasOtimo) : null;
+
       return {
         name: g.name,
         m: g.m, f: g.f,
+        targetM, targetF,
+        targetFonteM: tM.fonte, targetFonteF: tF.fonte,
+        dataAlvo: dataAlvo ? fmtDate(dataAlvo) : "—",
+        diasAteAlvo, cumpreDataAlvo, cumpreDataAlvoSeguro,
+        prontidao: prontidao[g.name] || null,
+        prontidaoTexto: readinessText(prontidao[g.name]),
+        emIntervalo: intervalo[g.name]?.n || 0,
+        intervaloAte: intervalo[g.name] ? fmtDate(parseDateFmt(intervalo[g.name].ate, "YMD")) : "—",
         pM, pF,
+        pMinM: g.avgEstMinM, pMaxM: g.avgEstMaxM,
+        pMinF: g.avgEstMinF, pMaxF: g.avgEstMaxF,
+        ageM, ageF,
         realM, realF,
         gmdUsedM, gmdUsedF,
         daysM, daysF,
+        daysMinM, daysMaxM, daysMinF, daysMaxF,
         dateM, dateF,
+        janelaM, janelaF,
+        dataMaxima,
         minDays,
+        custoDia: eco?.custoDia ?? NaN, precoVenda: eco?.precoVenda ?? NaN, economiaFonte: eco?.fonte || null,
+        custoAteAlvo, receitaAlvo, receitaAgora,
+        ganhoSemana, ganhoSemanaM, ganhoSemanaF,
+        diasOtimo, margemOtima,
+        dataOtima: dataOtimaD ? fmtDate(dataOtimaD) : "—",
+        dataOtimaISO: dataOtimaD ? isoDateUTC(dataOtimaD) : null,
         estadoTexto,
         estadoClass
       };
@@ -618,9 +3331,9 @@
   }
 /* ===================== SMART PLANNING (IA lógica) ===================== */
 
-function buildSmartPlanning(state, targets){
+function buildSmartPlanning(state, targets, economia){
 
-  const forecast = computeForecast(state, targets);
+  const forecast = computeForecast(state, targets, economia);
 
   const suggestions = [];
 
@@ -653,13 +3366,52 @@ function buildSmartPlanning(state, targets){
       nota = "Ainda longe do peso objetivo.";
     }
 
+    // com custos e preço: a data de venda passa a ser a do ótimo económico
+    if(Number.isFinite(g.ganhoSemana)){
+      if(g.ganhoSemana <= 0){
+        prioridade = "alta";
+        acao = "Vender já: mais uma semana dá prejuízo";
+        nota = `Mais uma semana: ${fmtEur(g.ganhoSemana)} (a alimentação custa mais do que vale o peso ganho).`;
+      }else if(Number.isFinite(g.diasOtimo)){
+        if(g.minDays === 0) acao = `Pronto; engordar compensa até ${g.dataOtima}`;
+        nota += ` Ótimo económico: ${g.dataOtima} (${g.diasOtimo < g.minDays ? "antes do alvo, " : ""}+${fmtEur(g.margemOtima)} até lá).`;
+      }else{
+        if(g.minDays === 0) acao = "Pronto; engordar ainda compensa";
+        nota += ` Engordar continua a compensar no próximo ano (+${fmtEur(g.ganhoSemana)} por semana).`;
+      }
+    }
+
+    // intervalo de segurança: não se agenda a saída de quem ainda não pode ir para abate
+    if(g.emIntervalo){
+      const venda = g.minDays === 0 || g.ganhoSemana <= 0;
+      if(venda && g.emIntervalo >= (g.m || 0) + (g.f || 0)){
+        prioridade = "media";
+        acao = `Aguardar fim do intervalo de segurança (${g.intervaloAte})`;
+      }
+      nota += ` ${g.emIntervalo} animal(is) em intervalo de segurança até ${g.intervaloAte}: ficam fora da carga.`;
+    }
+
+    if(g.cumpreDataAlvo === false){
+      if(prioridade !== "alta") prioridade = "media";
+      nota += ` Não atinge o alvo até à data alvo (${g.dataAlvo}).`;
+    }else if(g.cumpreDataAlvoSeguro === false){
+      nota += ` Data alvo (${g.dataAlvo}) em risco: no pior caso só a ${g.dataMaxima}.`;
+    }
+
+    // janela (mais cedo – mais tarde) para responder "quando de certeza?"
+    const janela = [g.m ? g.janelaM : null, g.f ? g.janelaF : null].filter(j => j && j !== "—");
+
     suggestions.push({
       grupo: g.name,
       prioridade,
       acao,
       nota,
       diasPrevistos: g.minDays,
-      estado: g.estadoTexto
+      janela: janela.join(" · ") || "—",
+      dataOtima: g.dataOtima,
+      ganhoSemana: g.ganhoSemana,
+      estado: g.estadoTexto,
+      prontidao: g.prontidaoTexto
     });
   }
 
@@ -672,61 +3424,908 @@ function buildSmartPlanning(state, targets){
 
   return suggestions;
 }
+  /* ===================== PLANO DE PESAGENS ===================== */
+  // prioridade 0–1 por critério: pesagem velha, perto do alvo (onde o erro custa mais) e 🔴/dados suspeitos
+  function weighPriority(a, fc, p){
+    const nunca = !Number.isFinite(a.diasDesdePesagem);
+    const velha = nunca ? 1 : Math.min(1, Math.max(0, a.diasDesdePesagem) / p.DIAS_VELHA);
+    const dias = fc?.dias;
+    const perto = Number.isFinite(dias) ? Math.max(0, 1 - Math.max(0, dias) / p.DIAS_PERTO) : 0;
+    const critico = (a.suspeito || a.bucket === "r") ? 1 : (a.bucket === "o" ? 0.5 : 0);
+    const soma = p.PESO_VELHA + p.PESO_ALVO + p.PESO_ESTADO;
+    const score = soma > 0 ? (p.PESO_VELHA * velha + p.PESO_ALVO * perto + p.PESO_ESTADO * critico) / soma : 0;
+
+    const motivos = [];
+    if(nunca) motivos.push("nunca pesado");
+    else if(velha >= 0.5) motivos.push(`pesado há ${a.diasDesdePesagem} dias`);
+    if(perto >= 0.5) motivos.push(dias <= 0 ? "pronto (confirmar peso)" : `a ${Math.ceil(dias)} dias do alvo`);
+    if(a.suspeito) motivos.push("dados suspeitos");
+    else if(a.bucket === "r") motivos.push("🔴 atrasado");
+    else if(a.bucket === "o") motivos.push("🟡 a vigiar");
+    return { score, velha, perto, critico, nunca, motivos };
+  }
+
+  // sessões de pesagem: os animais de maior prioridade até à capacidade (capacidade/dia × dias);
+  // os dias enchem-se grupo a grupo (grupos mais urgentes primeiro) para cada parque entrar de uma vez
+  function planWeighings(state, targets, options = {}){
+    const p = { ...DEFAULTS.WEIGH_PLAN, ...(state?.config?.WEIGH_PLAN || {}), ...options };
+    const todayUTC = state?.todayUTC ? new Date(state.todayUTC) : dayUTC();
+    const fc = {};
+    for(const f of computeAnimalForecast(state, targets)) fc[f.animal] = f;
+
+    const candidatos = (state?.animalsOut || []).map(a => {
+      a = { ...a, diasDesdePesagem: daysSinceWeighing(a, todayUTC) };
+      const pr = weighPriority(a, fc[a.animal], p);
+      return {
+        animal: a.animal, grupo: a.grupo || "—", sexo: a.sexo,
+        dataAtual: a.dataAtual, diasDesdePesagem: a.diasDesdePesagem,
+        estKg: a.estKg, estimado: a.estimado,
+        alvo: fc[a.animal]?.alvo, diasAteAlvo: fc[a.animal]?.dias,
+        estado: a.estado, estadoClass: a.estadoClass, conf: a.conf,
+        ...pr,
+        motivo: pr.motivos.join(" · ") || "rotina"
+      };
+    }).filter(c => c.score > 0);
+    candidatos.sort((a,b)=> b.score - a.score || a.grupo.localeCompare(b.grupo) || a.animal.localeCompare(b.animal));
+
+    const capacidade = Math.max(1, Math.round(p.CAPACIDADE_DIA));
+    const nDias = Math.max(1, Math.round(p.DIAS));
+    const escolhidos = candidatos.slice(0, capacidade * nDias);
+
+    // grupos: prioridade = média dos animais escolhidos
+    const grupos = {};
+    for(const c of candidatos){
+      const g = (grupos[c.grupo] ||= { grupo: c.grupo, candidatos: 0, escolhidos: 0, soma: 0, nunca: 0, velha: 0, perto: 0, vermelhos: 0, animais: [] });
+      g.candidatos++;
+    }
+    for(const c of escolhidos){
+      const g = grupos[c.grupo];
+      g.escolhidos++;
+      g.soma += c.score;
+      if(c.nunca) g.nunca++;
+      else if(c.velha >= 0.5) g.velha++;
+      if(c.perto >= 0.5) g.perto++;
+      if(c.critico >= 1) g.vermelhos++;
+      g.animais.push(c);
+    }
+    const ordemGrupos = Object.values(grupos)
+      .map(g => ({ ...g, prioridade: g.escolhidos ? g.soma / g.escolhidos : 0 }))
+      .sort((a,b)=> b.prioridade - a.prioridade || b.escolhidos - a.escolhidos || a.grupo.localeCompare(b.grupo));
+
+    // dias da sessão (úteis, se pedido) a partir da data de início
+    let d = options.inicio ? parseDateFmt(options.inicio, "YMD") : addDaysUTC(todayUTC, 1);
+    if(!d) throw new Error("Data de início inválida.");
+    const datas = [];
+    while(datas.length < nDias){
+      const wd = d.getUTCDay();
+      if(!(p.SALTAR_FDS && (wd === 0 || wd === 6))) datas.push(d);
+      d = addDaysUTC(d, 1);
+    }
+
+    const lista = [];
+    let i = 0;
+    for(const g of ordemGrupos){
+      for(const c of [...g.animais].sort((a,b)=>a.animal.localeCompare(b.animal))){
+        const data = datas[Math.floor(i / capacidade)];
+        lista.push({ ...c, dia: Math.floor(i / capacidade) + 1, data: fmtDate(data), dataISO: isoDateUTC(data) });
+        i++;
+      }
+    }
+
+    return {
+      config: p,
+      candidatos: candidatos.length,
+      capacidadeTotal: capacidade * nDias,
+      dias: datas.map((dt, k) => ({ dia: k+1, data: fmtDate(dt), dataISO: isoDateUTC(dt), animais: lista.filter(x => x.dia === k+1).length })),
+      grupos: ordemGrupos.map(({ animais, soma, ...g }) => g),
+      lista
+    };
+  }
+
+  /* ===================== CARGAS (lotes de venda) ===================== */
+  // peso na data da carga: o estimado de hoje + GMD projetada até lá
+  function lotWeight(a, dias){
+    if(!Number.isFinite(a.estKg)) return NaN;
+    return a.estKg + (Number.isFinite(a.gmdProj) ? a.gmdProj : 0) * Math.max(0, dias);
+  }
+
+  // animais cujo último movimento de entrada/saída é uma saída (venda, morte, abate): animal -> saída
+  function exitedAnimals(led){
+    const out = new Map();
+    for(const [animal, list] of eventsByAnimal(led)){
+      const { ultima } = inOutAt(list, "9999-12-31");
+      if(ultima && EVENT_TYPES[ultima.tipo].classe === "saida") out.set(animal, ultima);
+    }
+    return out;
+  }
+
+  // animais reservados em cargas guardadas: animal -> { id, nome, data }
+  // quem já saiu do efetivo deixa de estar reservado (a linha fica na carga, marcada como saída)
+  function lotReservations(lotes, saidos = exitedAnimals(loadEvents())){
+    const out = new Map();
+    for(const l of lotes || []){
+      const dataTexto = fmtDate(parseDateFmt(l.data, "YMD"));
+      for(const a of l.animais || []){
+        if(!saidos.has(a.animal)) out.set(a.animal, { id: l.id, nome: l.nome, data: l.data, dataTexto });
+      }
+    }
+    return out;
+  }
+
+  // animais da carga ainda em intervalo de segurança na data da carga (registos sanitários
+  // até essa data, incluindo os feitos depois de a carga ser guardada): animal -> { fim, fimTexto, produto }
+  function lotWithdrawals(lote){
+    const out = new Map();
+    const led = loadTreatments();
+    if(!led.registos.length || !lote?.data) return out;
+    const evLed = loadEvents();
+    const eventos = eventsByAnimal(evLed);
+    const known = knownAnimals(evLed);
+    for(const a of lote.animais || []){
+      const k = known[a.animal] || {};
+      const r = { animal: a.animal, grupo: k.grupo || a.grupo, dNasc: k.nasc ? parseDatePT(k.nasc) : null };
+      const w = withdrawalEnd(treatmentsFor(r, led, eventos, lote.data));
+      if(w.fim && w.fim > lote.data) out.set(a.animal, { ...w, fimTexto: fmtDate(parseDateFmt(w.fim, "YMD")) });
+    }
+    return out;
+  }
+
+  // proposta de lotes: ordena por sexo e peso (mais pesados primeiro) e enche camião a camião;
+  // fecha o lote quando chega à capacidade, ao limite de kg, muda de sexo ou sai da janela de peso
+  function proposeLots(state, targets, options = {}){
+    const p = { ...DEFAULTS.LOTS, ...(state?.config?.LOTS || {}), ...options };
+    const todayUTC = state?.todayUTC ? new Date(state.todayUTC) : dayUTC();
+    const data = options.data ? parseDateFmt(options.data, "YMD") : todayUTC;
+    if(!data) throw new Error("Data da carga inválida.");
+    const dias = daysBetweenUTC(todayUTC, data);
+    const reservados = options.reservados || lotReservations(state?.lotes);
+
+    const candidatos = [];
+    for(const a of state?.animalsOut || []){
+      if(reservados.has(a.animal)) continue;
+      const kg = lotWeight(a, dias);
+      if(!Number.isFinite(kg)) continue;
+      const alvo = resolveTarget(targets, a.grupo, a.sexo, a.animal).alvo;
+      if(p.SO_PRONTOS && kg < alvo) continue;
+      candidatos.push({
+        animal: a.animal, grupo: a.grupo, sexo: clean(a.sexo).toUpperCase(), kg, alvo,
+        suspeito: a.suspeito || null,
+        intervaloAte: null
+      });
+    }
+    // intervalo de segurança na data da carga (não na data do estado), com a mesma verificação do saveLot
+    const intervalos = lotWithdrawals({ data: isoDateUTC(data), animais: candidatos });
+    for(const c of candidatos) c.intervaloAte = intervalos.get(c.animal)?.fim || null;
+    candidatos.sort((a,b)=> (p.MESMO_SEXO ? a.sexo.localeCompare(b.sexo) : 0) || b.kg - a.kg || a.animal.localeCompare(b.animal));
+
+    const lotes = [];
+    const sobras = [];
+    let cur = null;
+    const fecha = () => { if(cur?.animais.length) lotes.push(cur); cur = null; };
+    for(const c of candidatos){
+      // peso duvidoso, intervalo de segurança ou peso que sozinho passa a carga: fica de fora para decidir à mão
+      if(c.suspeito){ sobras.push({ ...c, motivo: "dados suspeitos: confirmar peso" }); continue; }
+      if(c.intervaloAte){ sobras.push({ ...c, motivo: `intervalo de segurança até ${fmtDate(parseDateFmt(c.intervaloAte, "YMD"))}` }); continue; }
+      if(c.kg > p.PESO_MAX_KG){ sobras.push({ ...c, motivo: "acima da carga máxima" }); continue; }
+      const cabe = cur
+        && cur.animais.length < p.CAPACIDADE
+        && cur.totalKg + c.kg <= p.PESO_MAX_KG
+        && (!p.MESMO_SEXO || cur.sexo === c.sexo)
+        && cur.animais[0].kg - c.kg <= p.JANELA_KG;
+      if(!cabe){
+        fecha();
+        cur = { sexo: p.MESMO_SEXO ? c.sexo : "M/F", animais: [], totalKg: 0 };
+      }
+      cur.animais.push(c);
+      cur.totalKg += c.kg;
+    }
+    fecha();
+
+    return {
+      data: isoDateUTC(data),
+      regras: { CAPACIDADE: p.CAPACIDADE, PESO_MAX_KG: p.PESO_MAX_KG, MESMO_SEXO: p.MESMO_SEXO, JANELA_KG: p.JANELA_KG, SO_PRONTOS: p.SO_PRONTOS },
+      candidatos: candidatos.length,
+      lotes: lotes.map((l, i) => summarizeLot({ ...l, nome: `Carga ${i+1}` })),
+      sobras
+    };
+  }
+
+  // totais e verificação das regras de um lote (também depois de ajustado à mão)
+  function summarizeLot(l, regras){
+    const kgs = l.animais.map(a => a.kg).filter(Number.isFinite);
+    const sexos = [...new Set(l.animais.map(a => a.sexo))];
+    const out = {
+      ...l,
+      n: l.animais.length,
+      totalKg: kgs.reduce((a,b)=>a+b, 0),
+      minKg: kgs.length ? Math.min(...kgs) : NaN,
+      maxKg: kgs.length ? Math.max(...kgs) : NaN,
+      sexo: sexos.length === 1 ? sexos[0] : "M/F",
+      dataTexto: fmtDate(parseDateFmt(l.data, "YMD"))
+    };
+    if(regras){
+      const avisos = [];
+      if(out.n > regras.CAPACIDADE) avisos.push(`${out.n} cabeças (máx. ${regras.CAPACIDADE})`);
+      if(out.totalKg > regras.PESO_MAX_KG) avisos.push(`${Math.round(out.totalKg)} kg (máx. ${regras.PESO_MAX_KG})`);
+      if(regras.MESMO_SEXO && sexos.length > 1) avisos.push("sexos misturados");
+      if(out.maxKg - out.minKg > regras.JANELA_KG) avisos.push(`diferença de ${Math.round(out.maxKg - out.minKg)} kg (máx. ${regras.JANELA_KG})`);
+      const intervalo = l.animais.filter(a => a.intervaloAte && (!l.data || a.intervaloAte > l.data)).length;
+      if(intervalo) avisos.push(`${intervalo} em intervalo de segurança`);
+      out.avisos = avisos;
+    }
+    return out;
+  }
+
+  function lotManifestRows(l){
+    const rows = [["carga", "data", "animal", "grupo", "sexo", "peso_estimado_kg"]];
+    for(const a of l.animais){
+      rows.push([l.nome, fmtDate(parseDateFmt(l.data, "YMD")), a.animal, a.grupo, a.sexo, Number.isFinite(a.kg) ? a.kg.toFixed(0) : ""]);
+    }
+    rows.push(["total", "", `${l.animais.length} cabeças`, "", "", Math.round(l.animais.reduce((s, a) => s + (Number.isFinite(a.kg) ? a.kg : 0), 0))]);
+    return rows;
+  }
+
+  /* ===================== PERMISSÕES (auth.js) ===================== */
+  // as operações que apagam ou substituem dados verificam o perfil aqui, não só na UI
+  let authImpl = null;
+
+  function requireRole(role, acao){
+    const auth = authImpl || (typeof window !== "undefined" ? window.Auth : null);
+    if(!auth){
+      const err = new Error(`Sem permissão para ${acao}: módulo de autenticação não carregado.`);
+      err.code = "SEM_PERMISSAO";
+      throw err;
+    }
+    auth.requireRole(role, acao);
+  }
+
+  function sessionUser(){
+    const s = (authImpl || (typeof window !== "undefined" ? window.Auth : null))?.currentSession?.();
+    return s?.user || null;
+  }
+
+  function setAlertState(id, e){
+    const st = ensureState();
+    st.alertasEstado ||= {};
+    if(e){
+      st.alertasEstado[id] = { ...e, em: new Date().toISOString(), por: sessionUser() };
+    }else{
+      delete st.alertasEstado[id];
+    }
+    track(saveState(st));
+    return st.alertasEstado[id] || null;
+  }
+
   /* ===================== API GLOBAL ===================== */
 const Core = {
   // config (read)
   DEFAULTS,
 
-  // state
+  // armazenamento (IndexedDB): chamar e esperar antes de ler o estado
+  ready(options){
+    if(!readyPromise) readyPromise = initStorage(options);
+    return readyPromise;
+  },
+  storageBackend(){ return backend?.name || null; },
+  // há alguma coisa guardada pela app (depois de ready)
+  hasStoredData(){ return BACKUP_PARTS.some(k => mem[k] != null); },
+  memoryBackend,
+  // erros de gravação que não chegam a quem chamou (ex.: alterações de configuração)
+  onStorageError(fn){
+    storageErrorListeners.add(fn);
+    return () => storageErrorListeners.delete(fn);
+  },
+
+  // state (gravar só pelas operações abaixo, que verificam o perfil)
   loadState,
-  saveState,
-  clearState,
+
+  // data de referência: passada = como estava o efetivo; futura = projeção (data de venda)
+  getAsOf,
+  setAsOf,
+  stateAsOf,
+  viewState(){ return stateAsOf(getAsOf()); },
+  async clearState(){
+    requireRole("admin", "apagar os dados");
+    await clearState();
+  },
 
   // meteo cache
-  clearMeteoCache(){ localStorage.removeItem(METEO_CACHE_KEY); },
+  async clearMeteoCache(){
+    requireRole("admin", "apagar a cache meteo");
+    await deleteStore("meteoCache", "a cache meteo");
+  },
+
+  // fontes de meteorologia
+  registerMeteoProvider,
+  listMeteoProviders,
+  meteoProviderName,
+  getMeteoConfig(){
+    return { ...DEFAULTS.METEO, ...(ensureState().config?.METEO || {}) };
+  },
+  setMeteoConfig(meteo){
+    requireRole("admin", "alterar a configuração meteo");
+    const st = ensureState();
+    const cur = { ...DEFAULTS.METEO, ...(st.config.METEO || {}) };
+    const manual = {};
+    for(const [m,t] of Object.entries(meteo?.manual ?? cur.manual)){
+      if(+m >= 1 && +m <= 12 && Number.isFinite(t)) manual[+m] = t;
+    }
+    st.config.METEO = {
+      ...cur,
+      providers: Array.isArray(meteo?.providers) ? meteo.providers.filter(id => METEO_PROVIDERS.has(id)) : cur.providers,
+      manual
+    };
+    track(saveState(st));
+    return st.config.METEO;
+  },
+
+  // modelo do fator clima (THI ou bandas de temperatura)
+  calcTHI,
+  getClimateConfig(){
+    return { ...DEFAULTS.CLIMATE, ...(ensureState().config?.CLIMATE || {}) };
+  },
+  setClimateConfig(climate){
+    requireRole("admin", "alterar o modelo de clima");
+    const st = ensureState();
+    const cur = { ...DEFAULTS.CLIMATE, ...(st.config.CLIMATE || {}) };
+    const nums = (obj, base) => {
+      const out = { ...base };
+      for(const k of Object.keys(base)){
+        if(Number.isFinite(obj?.[k])) out[k] = obj[k];
+      }
+      return out;
+    };
+    const thi = nums(climate?.THI, cur.THI);
+    if(!(thi.alerta < thi.perigo && thi.perigo < thi.emergencia)){
+      throw new Error("Limiares THI têm de ser crescentes (alerta < perigo < emergência).");
+    }
+    st.config.CLIMATE = {
+      model: (climate?.model === "temp" || climate?.model === "thi") ? climate.model : cur.model,
+      THI: thi,
+      PERDA: nums(climate?.PERDA, cur.PERDA),
+      FATOR_MIN: Number.isFinite(climate?.FATOR_MIN) ? climate.FATOR_MIN : cur.FATOR_MIN
+    };
+    track(saveState(st));
+    return st.config.CLIMATE;
+  },
+
+  // estação da exploração (ficheiro CSV/JSON de leituras)
+  async importStationText(text){
+    requireRole("admin", "importar dados da estação");
+    const days = parseStationText(text);
+    const n = Object.keys(days).length;
+    if(!n) throw new Error("Ficheiro da estação sem leituras válidas (precisa de data e temperatura).");
+    const stn = loadStation();
+    Object.assign(stn.days, days);
+    stn.updated_at = new Date().toISOString();
+    await saveStation(stn);
+    return { imported: n, ...stationSummary(stn) };
+  },
+  getStationSummary(){ return stationSummary(loadStation()); },
+  async clearStation(){
+    requireRole("admin", "apagar os dados da estação");
+    await deleteStore("station", "as leituras da estação");
+  },
+
+  // base de comparação do estado 🟢/🟡/🔴 (aplica-se na próxima importação)
+  PERFORMANCE_BASES: { grupo_sexo: "Grupo + sexo", grupo_raca: "Grupo + raça", coorte_idade: "Efetivo por sexo e idade", grupo: "Grupo (misto)" },
+  getPerformanceConfig(){
+    return { ...DEFAULTS.PERFORMANCE, ...(ensureState().config?.PERFORMANCE || {}) };
+  },
+  setPerformanceConfig(cfg){
+    requireRole("admin", "alterar a base de comparação");
+    const st = ensureState();
+    const out = { ...DEFAULTS.PERFORMANCE, ...(st.config.PERFORMANCE || {}) };
+    if(Object.hasOwn(Core.PERFORMANCE_BASES, cfg?.base)) out.base = cfg.base;
+    if(Number.isFinite(cfg?.COORTE_DIAS)){
+      if(cfg.COORTE_DIAS < 15) throw new Error("Classes de idade com pelo menos 15 dias.");
+      out.COORTE_DIAS = Math.round(cfg.COORTE_DIAS);
+    }
+    if(Number.isFinite(cfg?.MIN_AMOSTRA)) out.MIN_AMOSTRA = Math.max(1, Math.round(cfg.MIN_AMOSTRA));
+    st.config.PERFORMANCE = out;
+    track(saveState(st));
+    return out;
+  },
+
+  // deteção de GMD suspeitas (aplica-se na próxima importação)
+  getOutlierConfig(){
+    return { ...DEFAULTS.OUTLIERS, ...(ensureState().config?.OUTLIERS || {}) };
+  },
+  setOutlierConfig(cfg){
+    requireRole("admin", "alterar a deteção de dados suspeitos");
+    const st = ensureState();
+    const cur = { ...DEFAULTS.OUTLIERS, ...(st.config.OUTLIERS || {}) };
+    const out = { ...cur };
+    if(["mad", "iqr", "nenhum"].includes(cfg?.metodo)) out.metodo = cfg.metodo;
+    for(const k of ["K_MAD", "K_IQR", "MIN_AMOSTRA", "GMD_MIN", "GMD_MAX"]){
+      if(Number.isFinite(cfg?.[k])) out[k] = cfg[k];
+    }
+    if(!(out.GMD_MIN < out.GMD_MAX)) throw new Error("Intervalo plausível inválido: GMD mínima tem de ser menor que a máxima.");
+    if(!(out.K_MAD > 0 && out.K_IQR > 0)) throw new Error("Os fatores K têm de ser positivos.");
+    out.MIN_AMOSTRA = Math.max(3, Math.round(out.MIN_AMOSTRA));
+    st.config.OUTLIERS = out;
+    track(saveState(st));
+    return out;
+  },
+
+  // validação (sem gravar nada)
+  validateCSVText(csvText, options = {}){
+    return validateCSVText(csvText, { profiles: loadState()?.config?.MAPPING_PROFILES || [], ...options });
+  },
 
-  // main import
+  // main import (o CSV junta-se ao histórico de pesagens já guardado)
+  // com erros de validação só importa se options.force === true
   async importCSVText(csvText, options = {}){
-    const state = await processCSVText(csvText, options);
-    saveState(state);
+    requireRole("operator", "importar dados");
+    const prev = loadState();
+    options = { profiles: prev?.config?.MAPPING_PROFILES || [], ...options };
+    const report = validateCSVText(csvText, options);
+    if(!report.ok && !options.force){
+      const err = new Error(`CSV com ${report.errors} erro(s) de validação.`);
+      err.report = report;
+      throw err;
+    }
+    const weighings = loadWeighings();
+    const events = loadEvents();
+    // primeira importação com movimentos: o registo começa no efetivo já guardado
+    if(!Object.keys(events.animais).length && prev?.efetivo?.length){
+      const visto = prev.todayUTC ? isoDateUTC(new Date(prev.todayUTC)) : null;
+      for(const [id, a] of Object.entries(knownAnimals(events))) events.animais[id] = { ...a, visto };
+    }
+    const state = await processCSVText(csvText, {
+      METEO: prev?.config?.METEO,
+      CLIMATE: prev?.config?.CLIMATE,
+      OUTLIERS: prev?.config?.OUTLIERS,
+      PERFORMANCE: prev?.config?.PERFORMANCE,
+      station: loadStation(),
+      HEALTH: prev?.config?.HEALTH,
+      ...options,
+      weighings,
+      events,
+      treatments: loadTreatments()
+    });
+    carryOverSettings(prev, state);
+    pruneAlertStates(state);
+    state.meta.validation_errors = report.errors;
+    state.meta.validation_warnings = report.warnings;
+    // só dá a importação por concluída depois de tudo gravado; estado, pesagens e movimentos
+    // vão juntos (se a gravação falhar, nenhum fica a meio)
+    await writeStores({ state, weighings, events }, "a importação");
+    // os dados já estão gravados: uma falha no snapshot vai para os listeners, não desfaz a importação
+    await track(recordSnapshot(state));
     return state;
   },
 
+  // folhas de cálculo (.xlsx / .ods)
+  isSpreadsheetFile,
+  listSheets,
+  spreadsheetToCSVText(data, sheetName, options = {}){
+    return spreadsheetToCSVText(data, sheetName, { profiles: loadState()?.config?.MAPPING_PROFILES || [], ...options });
+  },
+  async importSpreadsheet(data, options = {}){
+    const csvText = Core.spreadsheetToCSVText(data, options.sheet, options);
+    return Core.importCSVText(csvText, options);
+  },
+
+  // perfis de mapeamento de colunas (guardados no estado)
+  CSV_COLUMNS,
+  getMappingProfiles(){
+    return allMappingProfiles(ensureState().config?.MAPPING_PROFILES);
+  },
+  saveMappingProfile(profile){
+    requireRole("admin", "alterar perfis de colunas");
+    const p = normalizeMappingProfile(profile);
+    if(p.id === "padrao") throw new Error("O perfil padrão não pode ser alterado.");
+    const st = ensureState();
+    const list = (st.config.MAPPING_PROFILES || []).filter(x => x.id !== p.id);
+    list.push(p);
+    st.config.MAPPING_PROFILES = list;
+    track(saveState(st));
+    return p;
+  },
+  deleteMappingProfile(id){
+    requireRole("admin", "alterar perfis de colunas");
+    const st = ensureState();
+    st.config.MAPPING_PROFILES = (st.config.MAPPING_PROFILES || []).filter(x => x.id !== id);
+    track(saveState(st));
+  },
+  detectMappingProfile(csvText){
+    const { header } = readCSVLines(csvText);
+    return pickMappingProfile(header, { profiles: ensureState().config?.MAPPING_PROFILES }).profile;
+  },
+
+  // histórico de pesagens
+  getWeighings(animal){ return getWeighings(loadWeighings(), animal); },
+
+  // movimentos do efetivo: cada registo recalcula o estado guardado
+  EVENT_TYPES,
+  CENSUS_AGE_CLASSES,
+  normalizeEvents,
+  getEvents(filtro = {}){
+    return loadEvents().eventos
+      .filter(e => (!filtro.animal || e.animal === filtro.animal) && (!filtro.tipo || e.tipo === filtro.tipo))
+      .sort((a,b)=>b.data.localeCompare(a.data) || b.registado_em.localeCompare(a.registado_em));
+  },
+  getKnownAnimals(){
+    return knownAnimals(loadEvents());
+  },
+  async addEvent(evento){
+    requireRole("operator", "registar movimentos");
+    const led = loadEvents();
+    const e = normalizeEvent({ ...evento, id: null, origem: "manual", registado_em: null, por: sessionUser() });
+    const list = eventsByAnimal(led).get(e.animal) || [];
+    const reg = knownAnimals(led)[e.animal];
+    const classe = EVENT_TYPES[e.tipo].classe;
+    // entradas e saídas alternam: a nova só depois da última registada
+    const ultima = inOutAt(list, "9999-12-31").ultima;
+    const naData = inOutAt(list, e.data);
+    const desc = (x) => `${EVENT_TYPES[x.tipo].label.toLowerCase()} em ${x.data}`;
+    if(classe === "entrada"){
+      if(ultima && EVENT_TYPES[ultima.tipo].classe === "entrada") throw new Error(`${e.animal} já está no efetivo (${desc(ultima)}).`);
+      if(ultima && e.data < ultima.data) throw new Error(`A nova entrada de ${e.animal} tem de ser depois da saída (${desc(ultima)}).`);
+      if(reg && !e.sexo) e.sexo = reg.sexo;
+    }else if(!ultima && !reg){
+      throw new Error(`Animal desconhecido: ${e.animal} (regista primeiro a entrada ou importa o CSV).`);
+    }
+    if(classe === "saida"){
+      if(ultima && EVENT_TYPES[ultima.tipo].classe === "saida") throw new Error(`${e.animal} já saiu do efetivo (${desc(ultima)}).`);
+      if(ultima && e.data < ultima.data) throw new Error(`A saída não pode ser antes da entrada (${ultima.data}).`);
+    }
+    if(classe === "grupo" && naData.fora){
+      throw new Error(naData.ultima
+        ? `${e.animal} não estava no efetivo nessa data (${desc(naData.ultima)}).`
+        : `${e.animal} ainda não tinha entrado no efetivo nessa data (${desc(naData.proxima)}).`);
+    }
+    if(classe === "grupo"){
+      e.grupoDe ||= groupAt(list, e.data, reg?.grupo || naData.entrada?.grupo || null);
+      if(e.grupoDe === e.grupo) throw new Error(`${e.animal} já está no grupo ${e.grupo} nessa data.`);
+    }
+    led.eventos.push(e);
+    led.updated_at = new Date().toISOString();
+    await rebuildState({ events: led });
+    return e;
+  },
+  async deleteEvent(id){
+    requireRole("operator", "apagar movimentos");
+    const led = loadEvents();
+    led.eventos = led.eventos.filter(e => e.id !== id);
+    led.updated_at = new Date().toISOString();
+    await rebuildState({ events: led });
+  },
+  // registos sanitários: cada registo recalcula o estado guardado (intervalos de segurança)
+  TREATMENT_TYPES,
+  normalizeTreatments,
+  healthGmdSummary,
+  getTreatments(filtro = {}){
+    return loadTreatments().registos
+      .filter(t => (!filtro.animal || t.animal === filtro.animal) && (!filtro.grupo || t.grupo === filtro.grupo))
+      .sort((a,b)=>b.data.localeCompare(a.data) || b.registado_em.localeCompare(a.registado_em));
+  },
+  async addTreatment(registo){
+    requireRole("operator", "registar tratamentos");
+    const t = normalizeTreatment({ ...registo, id: null, registado_em: null, por: sessionUser() });
+    if(t.animal && !knownAnimals(loadEvents())[t.animal]) throw new Error(`Animal desconhecido: ${t.animal}.`);
+    const led = loadTreatments();
+    led.registos.push(t);
+    led.updated_at = new Date().toISOString();
+    await rebuildState({ treatments: led });
+    return t;
+  },
+  async deleteTreatment(id){
+    requireRole("operator", "apagar tratamentos");
+    const led = loadTreatments();
+    led.registos = led.registos.filter(t => t.id !== id);
+    led.updated_at = new Date().toISOString();
+    await rebuildState({ treatments: led });
+  },
+
+  // recenseamento por grupo/sexo/classe de idade (options.de: movimentos desde essa data)
+  buildCensus(state, options = {}){
+    return buildCensus(state, { events: loadEvents(), ...options });
+  },
+  censusCSV(censo){
+    return "\uFEFF" + rowsToCSVText(censusRows(censo)) + "\r\n";
+  },
+  gmdFromSeries,
+
+  // curva de crescimento por idade
+  curveGmd,
+  factorIdade,
+
   // helpers for UIs
   escapeHtml,
   safeFloat,
   safeInt,
+  fmtEur,
   fmtDate,
+  fmtAge,
 
   detectDelimiter,
+  parseCSV,
   parseNumber,
 
+  // motor sem estado (Node / CLI): não lê nem grava armazenamento, exceto a cache meteo
+  // quando opts.meteoCache não é passado; opts.asOf fixa a data de referência
+  processCSVText,
+  processEfetivo,
+  parseStationText,
+  normalizeTargets,
+  rowsToCSVText,
+
   // dashboard helpers
   buildAlerts,
 
+  // regras de alerta (guardadas no estado)
+  ALERT_METRICS,
+  ALERT_SCOPES,
+  getAlertRules(){
+    return (ensureState().config?.ALERT_RULES || DEFAULTS.ALERT_RULES).map(normalizeAlertRule);
+  },
+  setAlertRules(rules){
+    requireRole("admin", "alterar regras de alerta");
+    const list = (rules || []).map(normalizeAlertRule);
+    const ids = new Set();
+    for(const r of list){
+      if(ids.has(r.id)) throw new Error(`Regra repetida: ${r.id}.`);
+      ids.add(r.id);
+    }
+    const st = ensureState();
+    st.config.ALERT_RULES = list;
+    track(saveState(st));
+    return list;
+  },
+  // reconhecer: o alerta deixa de aparecer como ativo enquanto não piorar (ou até deixar de disparar)
+  ackAlert(alerta){
+    requireRole("operator", "reconhecer alertas");
+    return setAlertState(alerta.id, { tipo: "reconhecido", nivel: alerta.level });
+  },
+  // adiar: volta a aparecer ao fim de N dias
+  snoozeAlert(alerta, dias){
+    requireRole("operator", "adiar alertas");
+    if(!Number.isFinite(dias) || dias < 1) throw new Error("Indica os dias (1 ou mais).");
+    return setAlertState(alerta.id, { tipo: "adiado", nivel: alerta.level, ate: isoDateUTC(addDaysUTC(dayUTC(), Math.round(dias))) });
+  },
+  getAlertStates(){
+    return ensureState().alertasEstado || {};
+  },
+  reopenAlert(id){
+    requireRole("operator", "reabrir alertas");
+    return setAlertState(id, null);
+  },
+
   // planning helpers
   computeForecast,
+  computeAnimalForecast,
   buildSmartPlanning,
+  READY_CLASSES,
+  planWeighings,
 
-  // targets convenience
-  getTargets(){
+  // cargas: propostas a partir dos prontos e lotes guardados (os animais ficam "reservado")
+  proposeLots,
+  summarizeLot,
+  lotWeight,
+  getLotConfig(){
+    return { ...DEFAULTS.LOTS, ...(ensureState().config?.LOTS || {}) };
+  },
+  // cada carga com os animais que estão em intervalo de segurança na data dela
+  // e os que já saíram do efetivo (venda, morte, abate)
+  getLots(){
+    const saidos = exitedAnimals(loadEvents());
+    return [...(ensureState().lotes || [])]
+      .sort((a,b)=>a.data.localeCompare(b.data) || a.nome.localeCompare(b.nome))
+      .map(l => ({
+        ...l,
+        emIntervalo: [...lotWithdrawals(l)].map(([animal, w]) => ({ animal, ...w })),
+        saidos: l.animais.filter(a => saidos.has(a.animal)).map(a => {
+          const e = saidos.get(a.animal);
+          return { animal: a.animal, tipo: e.tipo, label: EVENT_TYPES[e.tipo].label, data: e.data, dataTexto: fmtDate(parseDateFmt(e.data, "YMD")) };
+        })
+      }));
+  },
+  getReservations(){
+    return lotReservations(ensureState().lotes);
+  },
+  lotManifestCSV(lote){
+    return "\uFEFF" + rowsToCSVText(lotManifestRows(lote)) + "\r\n";
+  },
+  saveLot(lote){
+    requireRole("operator", "guardar cargas");
+    if(!parseDateFmt(lote?.data, "YMD")) throw new Error("Data da carga inválida.");
+    if(!lote.animais?.length) throw new Error("A carga não tem animais.");
+    const st = ensureState();
+    const outros = (st.lotes || []).filter(l => l.id !== lote.id);
+    const saidos = exitedAnimals(loadEvents());
+    const fora = lote.animais.filter(a => saidos.has(a.animal)).map(a => `${a.animal} (${EVENT_TYPES[saidos.get(a.animal).tipo].label.toLowerCase()})`);
+    if(fora.length) throw new Error(`Animais que já saíram do efetivo: ${fora.slice(0, 5).join(", ")}${fora.length > 5 ? "…" : ""}`);
+    const ocupados = lotReservations(outros, saidos);
+    const repetidos = lote.animais.filter(a => ocupados.has(a.animal)).map(a => `${a.animal} (${ocupados.get(a.animal).nome})`);
+    if(repetidos.length) throw new Error(`Animais já reservados noutra carga: ${repetidos.slice(0, 5).join(", ")}${repetidos.length > 5 ? "…" : ""}`);
+    const intervalo = [...lotWithdrawals(lote)].map(([animal, w]) => `${animal} (até ${w.fimTexto})`);
+    if(intervalo.length) throw new Error(`Animais em intervalo de segurança na data da carga: ${intervalo.slice(0, 5).join(", ")}${intervalo.length > 5 ? "…" : ""}`);
+    const l = {
+      id: lote.id || `lote_${Date.now().toString(36)}`,
+      nome: clean(lote.nome) || "Carga",
+      data: clean(lote.data),
+      criado_em: lote.criado_em || new Date().toISOString(),
+      regras: lote.regras || null,
+      animais: lote.animais.map(a => ({ animal: a.animal, grupo: a.grupo, sexo: a.sexo, kg: Number.isFinite(a.kg) ? Number(a.kg.toFixed(1)) : null }))
+    };
+    st.lotes = [...outros, l];
+    // as regras da última carga guardada passam a ser as do próximo camião
+    const cfg = { ...DEFAULTS.LOTS, ...(st.config.LOTS || {}) };
+    if(l.regras) for(const k of Object.keys(cfg)) if(l.regras[k] != null) cfg[k] = l.regras[k];
+    st.config.LOTS = cfg;
+    track(saveState(st));
+    return l;
+  },
+  deleteLot(id){
+    requireRole("operator", "apagar cargas");
+    const st = ensureState();
+    st.lotes = (st.lotes || []).filter(l => l.id !== id);
+    track(saveState(st));
+  },
+  getWeighPlanConfig(){
+    return { ...DEFAULTS.WEIGH_PLAN, ...(ensureState().config?.WEIGH_PLAN || {}) };
+  },
+  setWeighPlanConfig(cfg){
+    requireRole("operator", "alterar o plano de pesagens");
+    const st = ensureState();
+    const out = { ...DEFAULTS.WEIGH_PLAN, ...(st.config.WEIGH_PLAN || {}) };
+    for(const k of ["CAPACIDADE_DIA", "DIAS", "DIAS_VELHA", "DIAS_PERTO"]){
+      if(cfg?.[k] == null) continue;
+      if(!Number.isFinite(cfg[k]) || cfg[k] < 1) throw new Error(`Valor inválido em ${k} (1 ou mais).`);
+      out[k] = Math.round(cfg[k]);
+    }
+    for(const k of ["PESO_VELHA", "PESO_ALVO", "PESO_ESTADO"]){
+      if(cfg?.[k] == null) continue;
+      if(!Number.isFinite(cfg[k]) || cfg[k] < 0) throw new Error(`Peso inválido em ${k} (0 ou mais).`);
+      out[k] = cfg[k];
+    }
+    if(typeof cfg?.SALTAR_FDS === "boolean") out.SALTAR_FDS = cfg.SALTAR_FDS;
+    st.config.WEIGH_PLAN = out;
+    track(saveState(st));
+    return out;
+  },
+
+  // histórico de snapshots (um por importação)
+  listSnapshots(){
+    return loadHistory().snapshots
+      .map(snapshotInfo)
+      .sort((a,b)=>Date.parse(b.generated_at) - Date.parse(a.generated_at));
+  },
+  compareSnapshots(idDe, idPara){
+    const hist = loadHistory();
+    const de = hist.snapshots.find(s => s.id === idDe);
+    const para = hist.snapshots.find(s => s.id === idPara);
+    if(!de || !para) throw new Error("Snapshot não encontrado no histórico.");
+    return compareSnapshots(de, para);
+  },
+  groupHistory(grupo){
+    return groupHistory(loadHistory(), grupo);
+  },
+  getHistoryConfig(){
+    return { ...DEFAULTS.HISTORY, ...(ensureState().config?.HISTORY || {}) };
+  },
+  setHistoryConfig(cfg){
+    requireRole("admin", "alterar a retenção do histórico");
     const st = ensureState();
-    const t = st.targets || { targetM:620, targetF:520 };
+    const cur = { ...DEFAULTS.HISTORY, ...(st.config.HISTORY || {}) };
+    const pos = (x, d) => (Number.isFinite(x) && x >= 1) ? Math.floor(x) : d;
+    st.config.HISTORY = {
+      MAX_SNAPSHOTS: pos(cfg?.MAX_SNAPSHOTS, cur.MAX_SNAPSHOTS),
+      MAX_DAYS: pos(cfg?.MAX_DAYS, cur.MAX_DAYS)
+    };
+    track(saveState(st));
+    const hist = applyRetention(loadHistory(), st.config.HISTORY);
+    track(saveHistory(hist));
+    return st.config.HISTORY;
+  },
+  deleteSnapshot(id){
+    requireRole("admin", "apagar snapshots");
+    const hist = loadHistory();
+    hist.snapshots = hist.snapshots.filter(s => s.id !== id);
+    return saveHistory(hist);
+  },
+
+  // cópia de segurança (estado, pesagens, cache meteo, estação e snapshots num só JSON)
+  async exportBackup(){
+    requireRole("operator", "exportar a cópia de segurança");
+    const b = await buildBackup();
+    const stamp = b.criado_em.slice(0, 10);
+    return {
+      filename: `monte-do-pasto-backup-${stamp}.json`,
+      text: JSON.stringify(b),
+      resumo: backupSummary(b.dados)
+    };
+  },
+  // só lê e valida: o que está na cópia vs o que está guardado agora
+  async inspectBackup(text){
+    const b = await readBackup(text);
     return {
-      targetM: Number.isFinite(t.targetM) ? t.targetM : 620,
-      targetF: Number.isFinite(t.targetF) ? t.targetF : 520
+      criado_em: b.criado_em,
+      versao: b.versao,
+      resumo: backupSummary(b.dados),
+      atual: backupSummary(currentBackupData())
     };
   },
+  // mode: "replace" (substitui tudo) ou "merge" (junta com os dados atuais)
+  async importBackup(text, options = {}){
+    requireRole("admin", "restaurar a cópia de segurança");
+    const mode = options.mode === "merge" ? "merge" : "replace";
+    const b = await readBackup(text);
+    const dados = (mode === "merge") ? mergeBackupData(currentBackupData(), b.dados) : b.dados;
+
+    // todas as partes de uma vez: uma falha a meio não deixa dados da cópia misturados com os atuais
+    await writeStores(Object.fromEntries(BACKUP_PARTS.map(k => [k, dados[k] ?? null])), "a cópia de segurança");
+    return { mode, resumo: backupSummary(dados) };
+  },
+
+  // targets convenience
+  getTargets(){
+    const st = ensureState();
+    return normalizeTargets(st.targets);
+  },
   setTargets(targetM, targetF){
+    requireRole("operator", "alterar alvos");
     const st = ensureState();
-    st.targets = {
-      targetM: Number.isFinite(targetM) ? targetM : 620,
-      targetF: Number.isFinite(targetF) ? targetF : 520
-    };
-    saveState(st);
+    const t = normalizeTargets(st.targets);
+    t.targetM = Number.isFinite(targetM) ? targetM : 620;
+    t.targetF = Number.isFinite(targetF) ? targetF : 520;
+    st.targets = t;
+    track(saveState(st));
     return st.targets;
+  },
+  // alvo/data alvo de um grupo; null ou vazio apaga o override
+  setGroupTarget(grupo, opts){
+    requireRole("operator", "alterar alvos");
+    const st = ensureState();
+    const t = normalizeTargets(st.targets);
+    t.grupos[grupo] = { targetM: opts?.targetM, targetF: opts?.targetF, dataAlvo: opts?.dataAlvo };
+    st.targets = normalizeTargets(t);
+    track(saveState(st));
+    return st.targets.grupos[grupo] || null;
+  },
+  // alvo/data alvo de um animal (sobrepõe-se ao grupo)
+  setAnimalTarget(animal, opts){
+    requireRole("operator", "alterar alvos");
+    const st = ensureState();
+    const t = normalizeTargets(st.targets);
+    t.animais[animal] = { target: opts?.target, dataAlvo: opts?.dataAlvo };
+    st.targets = normalizeTargets(t);
+    track(saveState(st));
+    return st.targets.animais[animal] || null;
+  },
+  resolveTarget(grupo, sexo, animal){
+    return resolveTarget(ensureState().targets, grupo, sexo, animal);
+  },
+
+  // custos de alimentação e preço de venda (globais e por grupo)
+  getEconomics(){
+    return normalizeEconomics(ensureState().economia);
+  },
+  setEconomics(opts){
+    requireRole("operator", "alterar custos e preços");
+    const st = ensureState();
+    const e = normalizeEconomics(st.economia);
+    st.economia = normalizeEconomics({ ...opts, grupos: e.grupos });
+    track(saveState(st));
+    return st.economia;
+  },
+  // campos vazios (NaN/undefined) no grupo usam os globais
+  setGroupEconomics(grupo, opts){
+    requireRole("operator", "alterar custos e preços");
+    const st = ensureState();
+    const e = normalizeEconomics(st.economia);
+    e.grupos[grupo] = opts || {};
+    st.economia = normalizeEconomics(e);
+    track(saveState(st));
+    return st.economia.grupos[grupo] || null;
+  },
+  resolveEconomics(grupo){
+    return resolveEconomics(normalizeEconomics(ensureState().economia), grupo);
   }
 };
 
-window.Core = Core;
+if(typeof module === "object" && module.exports) module.exports = Core;
+if(typeof window !== "undefined") window.Core = Core;
 })();